@@ -0,0 +1,49 @@
+import React from 'react';
+import { Search, X } from 'lucide-react';
+
+const STATUS_OPTIONS = [
+  { value: 'all', label: '全部' },
+  { value: 'unplaced', label: '未放置' },
+  { value: 'placed', label: '已放置' },
+];
+
+export default function FilterBar({ filter, tags, onChange, onClear }) {
+  const update = (field, value) => onChange({ ...filter, [field]: value });
+  const isActive = filter.query || filter.tag || filter.status !== 'all';
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 bg-gray-800/60 border border-gray-700 rounded-xl p-2">
+      <div className="flex items-center gap-2 flex-1 min-w-[12rem] bg-gray-900 rounded-lg border border-gray-600 focus-within:border-blue-500 px-3">
+        <Search size={16} className="text-gray-500 flex-shrink-0" />
+        <input
+          value={filter.query}
+          onChange={(e) => update('query', e.target.value)}
+          placeholder="按名称或说明搜索..."
+          className="bg-transparent border-none text-white py-2 flex-1 outline-none text-sm min-w-0"
+        />
+      </div>
+      <select
+        value={filter.tag}
+        onChange={(e) => update('tag', e.target.value)}
+        className="bg-gray-900 border border-gray-600 focus:border-blue-500 text-white px-3 py-2 rounded-lg outline-none text-sm"
+      >
+        <option value="">所有标签</option>
+        {tags.map(tag => <option key={tag} value={tag}>{tag}</option>)}
+      </select>
+      <div className="flex rounded-lg overflow-hidden border border-gray-600 text-sm">
+        {STATUS_OPTIONS.map(option => (
+          <button
+            key={option.value}
+            onClick={() => update('status', option.value)}
+            className={`px-3 py-2 transition-colors ${filter.status === option.value ? 'bg-blue-600 text-white' : 'bg-gray-900 text-gray-400 hover:bg-gray-700'}`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      {isActive && (
+        <button onClick={onClear} className="p-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-300" title="清除筛选"><X size={16} /></button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,208 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FilePlus2, Loader2, Upload, Users, X } from 'lucide-react';
+import { createThumbnail } from '../utils/image-pipeline.js';
+import { tierColorStyle } from '../utils/tier-style.js';
+import { buildConsensus, computeGroupStats, consensusTierIndex, consensusToSaveFile, matchItems, readRanking } from '../utils/group-ranking.js';
+
+const VIEWS = [
+  { id: 'consensus', label: '共识看板' },
+  { id: 'disagreement', label: '分歧' },
+  { id: 'side-by-side', label: '逐人对照' },
+];
+
+const tabClass = (active) => `px-3 py-1.5 rounded-lg text-sm transition-colors ${active ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'}`;
+
+const formatPosition = (value) => (value === null ? '—' : value.toFixed(1));
+
+const TierChip = ({ tier }) => (
+  tier
+    ? <span className="min-w-[1.5rem] px-1.5 h-6 rounded text-xs font-bold inline-flex items-center justify-center truncate max-w-[6rem]" style={tierColorStyle(tier)}>{tier.label}</span>
+    : <span className="min-w-[1.5rem] h-6 inline-flex items-center justify-center text-xs text-gray-600">—</span>
+);
+
+const Thumb = ({ url, name, size = 'w-12 h-12' }) => (
+  url
+    ? <img src={url} alt={name || 'item'} title={name} className={`${size} rounded-md object-cover flex-shrink-0`} />
+    : <div title={name} className={`${size} rounded-md bg-gray-700 flex-shrink-0`} />
+);
+
+// Loads each person's exported board, matches the images and shows the
+// consensus, the disagreement and everyone's placements side by side.
+export default function GroupRankingModal({ onCreateBoard, onClose }) {
+  const [rankings, setRankings] = useState([]);
+  const [thumbs, setThumbs] = useState({}); // content hash → object URL
+  const [busy, setBusy] = useState(false);
+  const [view, setView] = useState('consensus');
+  const [by, setBy] = useState('median'); // what the consensus board rounds: 'median' | 'mean'
+  const fileInputRef = useRef(null);
+  const thumbUrlsRef = useRef([]);
+
+  useEffect(() => () => thumbUrlsRef.current.forEach(url => URL.revokeObjectURL(url)), []);
+
+  const addFiles = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+    setBusy(true);
+    const added = [];
+    const nextThumbs = { ...thumbs };
+    for (const file of files) {
+      try {
+        const ranking = await readRanking(file);
+        added.push(ranking);
+        // One thumbnail per distinct image, however many people ranked it
+        for (const id of ranking.imageIds) {
+          const hash = ranking.hashes[id];
+          if (nextThumbs[hash]) continue;
+          const thumb = await createThumbnail(await ranking.loadImage(id)).catch(() => null);
+          if (!thumb) continue;
+          nextThumbs[hash] = URL.createObjectURL(thumb);
+          thumbUrlsRef.current.push(nextThumbs[hash]);
+        }
+      } catch (error) {
+        alert(`${file.name}：${error.message}`);
+      }
+    }
+    setThumbs(nextThumbs);
+    setRankings(prev => [...prev, ...added]);
+    setBusy(false);
+  };
+
+  const removeRanking = (id) => setRankings(prev => prev.filter(r => r.id !== id));
+
+  const reference = rankings[0];
+  const stats = reference ? computeGroupStats(rankings, matchItems(rankings)) : [];
+  const consensus = reference ? buildConsensus(rankings, stats, by) : null;
+  const positionLabel = (value) => (value === null ? '未评级' : reference.tiers[consensusTierIndex(reference, value)].label);
+  const describe = (item) => `${item.meta.name || '图片'}\n平均 ${formatPosition(item.mean)} · 中位 ${formatPosition(item.median)} · 分歧 ${formatPosition(item.spread)}（${item.rated}/${rankings.length} 人评级）`;
+
+  const byDisagreement = stats.map((item, index) => ({ item, index })).filter(({ item }) => item.rated > 0).sort((a, b) => b.item.spread - a.item.spread);
+  const byConsensus = stats.map((item, index) => ({ item, index })).sort((a, b) => (a.item[by] ?? Infinity) - (b.item[by] ?? Infinity));
+  const maxSpread = Math.max(1, reference ? reference.tiers.length - 1 : 1);
+
+  const createBoard = () => {
+    onCreateBoard(consensusToSaveFile(rankings, stats, consensus), `共识看板（${rankings.length} 人）`);
+  };
+
+  return (
+    <div className="fixed inset-0 z-[150] flex items-center justify-center bg-black/60 backdrop-blur-sm p-4 animate-in fade-in duration-200">
+      <div className="bg-gray-800 border border-gray-700 p-6 rounded-2xl shadow-2xl max-w-6xl w-full max-h-[95vh] flex flex-col">
+        <div className="flex items-center gap-3 mb-4">
+          <div className="bg-blue-500/10 p-2 rounded-full"><Users className="text-blue-400" size={24} /></div>
+          <h3 className="text-xl font-bold text-white flex-1">多人汇总</h3>
+          <button onClick={onClose} className="p-1 rounded-lg hover:bg-gray-700 text-gray-400"><X size={20} /></button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+          {rankings.map((ranking, index) => (
+            <span key={ranking.id} className={`flex items-center gap-1 pl-3 pr-1 py-1 rounded-full ${index === 0 ? 'bg-blue-600/30 text-blue-100' : 'bg-gray-700 text-gray-200'}`} title={index === 0 ? '参考评级行来自第一个文件' : undefined}>
+              {ranking.name}{index === 0 && <span className="text-xs text-blue-300">（参考）</span>}
+              <button onClick={() => removeRanking(ranking.id)} className="p-0.5 rounded-full hover:bg-black/30"><X size={12} /></button>
+            </span>
+          ))}
+          <input ref={fileInputRef} type="file" accept=".zip,.tmp,.json" multiple className="hidden" onChange={addFiles} />
+          <button onClick={() => fileInputRef.current.click()} disabled={busy} className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200 disabled:opacity-50">
+            {busy ? <Loader2 size={14} className="animate-spin" /> : <Upload size={14} />} 添加存档
+          </button>
+        </div>
+
+        {rankings.length === 0 ? (
+          <p className="text-sm text-gray-400 py-8 text-center">
+            添加每个人导出的存档（.zip 或旧版 .tmp），图片按内容哈希或 ID 自动对应。<br />
+            第一个文件的评级行作为参考，用来计算位置（0 为最高一行）。
+          </p>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center gap-2 mb-4">
+              {VIEWS.map(v => <button key={v.id} onClick={() => setView(v.id)} className={tabClass(view === v.id)}>{v.label}</button>)}
+              <div className="flex-1" />
+              {view === 'consensus' && (
+                <>
+                  <select value={by} onChange={(e) => setBy(e.target.value)} className="bg-gray-900 border border-gray-600 text-white text-sm px-3 py-1.5 rounded-lg outline-none">
+                    <option value="median">按中位数</option>
+                    <option value="mean">按平均值</option>
+                  </select>
+                  <button onClick={createBoard} className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-green-600 hover:bg-green-500 text-white text-sm"><FilePlus2 size={14} /> 用共识新建看板</button>
+                </>
+              )}
+            </div>
+
+            <div className="min-h-0 overflow-auto pr-1">
+              {view === 'consensus' && (
+                <div className="rounded-xl border border-gray-700 overflow-hidden">
+                  {[...consensus.tiers, { id: 'pool', label: '未评级', color: '#4b5563', items: consensus.pool }].map(tier => (
+                    (tier.id !== 'pool' || tier.items.length > 0) && (
+                      <div key={tier.id} className="flex border-b border-gray-900 last:border-none min-h-[72px]">
+                        <div className="w-24 flex-shrink-0 flex items-center justify-center p-2 text-center font-black break-words" style={tierColorStyle(tier)}>{tier.label}</div>
+                        <div className="flex-1 flex flex-wrap content-start gap-2 p-2 bg-gray-900/60">
+                          {tier.items.map(index => (
+                            <div key={index} className="flex flex-col items-center w-14" title={describe(stats[index])}>
+                              <Thumb url={thumbs[stats[index].hash]} name={stats[index].meta.name} size="w-14 h-14" />
+                              <span className="text-[10px] text-gray-400">{formatPosition(stats[index][by])}</span>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )
+                  ))}
+                </div>
+              )}
+
+              {view === 'disagreement' && (
+                <div className="flex flex-col gap-2">
+                  {byDisagreement.map(({ item, index }) => (
+                    <div key={index} className="flex items-center gap-3 p-2 rounded-lg bg-gray-900/50 border border-gray-700">
+                      <Thumb url={thumbs[item.hash]} name={item.meta.name} />
+                      <div className="w-40 min-w-0">
+                        <div className="text-sm text-gray-100 truncate">{item.meta.name || '图片'}</div>
+                        <div className="text-xs text-gray-500">平均 {formatPosition(item.mean)} · 中位 {formatPosition(item.median)}</div>
+                      </div>
+                      <div className="w-32 flex flex-col gap-1">
+                        <div className="h-2 rounded bg-gray-700 overflow-hidden"><div className="h-full bg-orange-400" style={{ width: `${(item.spread / maxSpread) * 100}%` }} /></div>
+                        <span className="text-xs text-gray-400">相差 {formatPosition(item.spread)} 行</span>
+                      </div>
+                      <div className="flex flex-wrap gap-1 flex-1">
+                        {item.placements.map((placement, r) => (
+                          <span key={rankings[r].id} title={rankings[r].name}><TierChip tier={placement?.tier} /></span>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                  {byDisagreement.length === 0 && <p className="text-sm text-gray-500 text-center py-6">还没有任何图片被评级</p>}
+                </div>
+              )}
+
+              {view === 'side-by-side' && (
+                <table className="w-full text-sm border-separate border-spacing-y-1">
+                  <thead className="text-xs text-gray-400">
+                    <tr>
+                      <th className="text-left font-normal px-2">图片</th>
+                      <th className="font-normal px-2">共识</th>
+                      {rankings.map(ranking => <th key={ranking.id} className="font-normal px-2 truncate max-w-[8rem]">{ranking.name}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {byConsensus.map(({ item, index }) => (
+                      <tr key={index} className="bg-gray-900/50">
+                        <td className="px-2 py-1 rounded-l-lg">
+                          <div className="flex items-center gap-2 min-w-0">
+                            <Thumb url={thumbs[item.hash]} name={item.meta.name} size="w-10 h-10" />
+                            <span className="text-gray-200 truncate max-w-[10rem]">{item.meta.name || '图片'}</span>
+                          </div>
+                        </td>
+                        <td className="px-2 py-1 text-center text-gray-300 whitespace-nowrap">{positionLabel(item[by])}</td>
+                        {item.placements.map((placement, r) => (
+                          <td key={rankings[r].id} className="px-2 py-1 text-center last:rounded-r-lg"><TierChip tier={placement?.tier} /></td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
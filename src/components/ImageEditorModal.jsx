@@ -0,0 +1,192 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Crop, RotateCcw, RotateCw, Crosshair } from 'lucide-react';
+import { DEFAULT_EDIT, getFitStyle, normalizeEdit, renderEditedBlob } from '../utils/image-edit.js';
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const WHOLE = { x: 0, y: 0, width: 1, height: 1 };
+const RENDER_DELAY = 200;
+const MIN_CROP_SIZE = 0.02;
+
+const FIT_OPTIONS = [
+  { value: 'cover', label: '填满 (裁掉多余部分)' },
+  { value: 'contain', label: '完整显示 (留出背景)' },
+];
+
+// Keeps an object URL for `src` rendered with `edit`. Renders are debounced because
+// dragging a crop changes the edit on every pointer move; the previous URL stays
+// on screen until the next one is ready.
+const useRendition = (src, edit, enabled) => {
+  const [url, setUrl] = useState(null);
+  const urlRef = useRef(null);
+  const key = JSON.stringify(edit);
+
+  useEffect(() => {
+    if (!enabled) return;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const blob = await renderEditedBlob(src, JSON.parse(key));
+      if (cancelled || !blob) return;
+      if (urlRef.current) URL.revokeObjectURL(urlRef.current);
+      urlRef.current = URL.createObjectURL(blob);
+      setUrl(urlRef.current);
+    }, RENDER_DELAY);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [src, key, enabled]);
+
+  useEffect(() => () => {
+    if (urlRef.current) URL.revokeObjectURL(urlRef.current);
+  }, []);
+
+  return enabled ? url : null;
+};
+
+export default function ImageEditorModal({ imageUrl, edit, onCancel, onSave }) {
+  const [draft, setDraft] = useState({ ...DEFAULT_EDIT, ...(edit || {}) });
+  const [mode, setMode] = useState('crop'); // 'crop' | 'focus'
+  const areaRef = useRef(null);
+  const cropStartRef = useRef(null);
+
+  // The crop is drawn on the rotated (uncropped) image; the result shows the final thumbnail
+  const rotatedUrl = useRendition(imageUrl, { rotate: draft.rotate }, draft.rotate !== 0);
+  const croppedUrl = useRendition(imageUrl, { rotate: draft.rotate, crop: draft.crop }, Boolean(draft.crop));
+  const baseUrl = draft.rotate !== 0 ? rotatedUrl : imageUrl;
+  const resultUrl = draft.crop ? croppedUrl : baseUrl;
+
+  const update = (field, value) => setDraft({ ...draft, [field]: value });
+
+  const toFraction = (e) => {
+    const rect = areaRef.current.getBoundingClientRect();
+    return { x: clamp01((e.clientX - rect.left) / rect.width), y: clamp01((e.clientY - rect.top) / rect.height) };
+  };
+
+  // Focus is stored relative to the cropped area
+  const setFocusAt = (point) => {
+    const area = draft.crop || WHOLE;
+    update('focus', { x: clamp01((point.x - area.x) / area.width), y: clamp01((point.y - area.y) / area.height) });
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const point = toFraction(e);
+    if (mode === 'focus') setFocusAt(point);
+    else cropStartRef.current = point;
+  };
+
+  const handlePointerMove = (e) => {
+    if (!e.currentTarget.hasPointerCapture(e.pointerId)) return;
+    const point = toFraction(e);
+    if (mode === 'focus') {
+      setFocusAt(point);
+    } else if (cropStartRef.current) {
+      const start = cropStartRef.current;
+      update('crop', {
+        x: Math.min(start.x, point.x),
+        y: Math.min(start.y, point.y),
+        width: Math.abs(point.x - start.x),
+        height: Math.abs(point.y - start.y),
+      });
+    }
+  };
+
+  const handlePointerUp = () => {
+    cropStartRef.current = null;
+    // A click without a drag is not a crop
+    if (draft.crop && (draft.crop.width < MIN_CROP_SIZE || draft.crop.height < MIN_CROP_SIZE)) update('crop', null);
+  };
+
+  // The crop is in rotated coordinates, so turning the image starts it over
+  const rotate = (delta) => setDraft({ ...draft, rotate: (draft.rotate + delta + 360) % 360, crop: null });
+
+  const area = draft.crop || WHOLE;
+  const focusLeft = (area.x + draft.focus.x * area.width) * 100;
+  const focusTop = (area.y + draft.focus.y * area.height) * 100;
+
+  return (
+    <div className="fixed inset-0 z-[160] flex items-center justify-center bg-black/60 backdrop-blur-sm p-4 animate-in fade-in duration-200">
+      <div className="bg-gray-800 border border-gray-700 p-6 rounded-2xl shadow-2xl max-w-4xl w-full max-h-[95vh] flex flex-col">
+        <div className="flex items-center gap-3 mb-4">
+          <div className="bg-blue-500/10 p-2 rounded-full"><Crop className="text-blue-400" size={24} /></div>
+          <h3 className="text-xl font-bold text-white">裁剪与显示</h3>
+        </div>
+
+        <div className="flex flex-col md:flex-row gap-6 mb-6 min-h-0 flex-1">
+          <div className="flex-1 min-h-[200px] bg-gray-900/60 rounded-xl border border-gray-700 p-3 flex items-center justify-center overflow-hidden">
+            {baseUrl ? (
+              <div
+                ref={areaRef}
+                className={`relative inline-block select-none touch-none overflow-hidden ${mode === 'focus' ? 'cursor-pointer' : 'cursor-crosshair'}`}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+              >
+                <img src={baseUrl} alt="original" draggable={false} className="block max-w-full max-h-[55vh] pointer-events-none" />
+                {draft.crop && (
+                  <div
+                    className="absolute border-2 border-white shadow-[0_0_0_9999px_rgba(0,0,0,0.55)] pointer-events-none"
+                    style={{ left: `${area.x * 100}%`, top: `${area.y * 100}%`, width: `${area.width * 100}%`, height: `${area.height * 100}%` }}
+                  />
+                )}
+                <div
+                  className="absolute w-4 h-4 -ml-2 -mt-2 rounded-full border-2 border-white bg-blue-500/70 shadow pointer-events-none"
+                  style={{ left: `${focusLeft}%`, top: `${focusTop}%` }}
+                />
+              </div>
+            ) : (
+              <div className="animate-spin rounded-full h-8 w-8 border-4 border-blue-500 border-t-transparent"></div>
+            )}
+          </div>
+
+          <div className="flex flex-col gap-4 text-sm md:w-64 flex-shrink-0 overflow-y-auto pr-1">
+            <div className="flex rounded-lg overflow-hidden border border-gray-600">
+              <button onClick={() => setMode('crop')} className={`flex-1 flex items-center justify-center gap-1 px-3 py-2 transition-colors ${mode === 'crop' ? 'bg-blue-600 text-white' : 'bg-gray-900 text-gray-400 hover:bg-gray-700'}`}><Crop size={14} /> 裁剪</button>
+              <button onClick={() => setMode('focus')} className={`flex-1 flex items-center justify-center gap-1 px-3 py-2 transition-colors ${mode === 'focus' ? 'bg-blue-600 text-white' : 'bg-gray-900 text-gray-400 hover:bg-gray-700'}`}><Crosshair size={14} /> 焦点</button>
+            </div>
+            <p className="text-xs text-gray-500 -mt-2">{mode === 'crop' ? '在左侧图片上拖出裁剪区域' : '点击左侧图片设置缩略图的焦点'}</p>
+
+            <div className="flex gap-2">
+              <button onClick={() => rotate(-90)} className="flex-1 flex items-center justify-center gap-1 px-3 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200"><RotateCcw size={14} /> 向左转</button>
+              <button onClick={() => rotate(90)} className="flex-1 flex items-center justify-center gap-1 px-3 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200"><RotateCw size={14} /> 向右转</button>
+            </div>
+            {draft.crop && (
+              <button onClick={() => update('crop', null)} className="px-3 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200">取消裁剪</button>
+            )}
+
+            <div className="flex flex-col gap-2">
+              <span className="text-gray-400">缩略图填充方式</span>
+              {FIT_OPTIONS.map(option => (
+                <label key={option.value} className="flex items-center gap-2 text-gray-300">
+                  <input type="radio" name="fit" checked={draft.fit === option.value} onChange={() => update('fit', option.value)} />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+
+            <label className="flex items-center justify-between">
+              <span className={draft.fit === 'contain' ? 'text-gray-400' : 'text-gray-600'}>背景颜色</span>
+              <input type="color" value={draft.background} disabled={draft.fit !== 'contain'} onChange={(e) => update('background', e.target.value)} className="w-10 h-8 cursor-pointer rounded overflow-hidden border-0 p-0 disabled:opacity-40" />
+            </label>
+
+            <div className="flex flex-col gap-2">
+              <span className="text-gray-400">效果预览</span>
+              <div className="w-32 h-32 rounded-md bg-gray-900 overflow-hidden">
+                {resultUrl && <img src={resultUrl} alt="result" className="w-full h-full" style={getFitStyle(draft)} />}
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="flex justify-between gap-3">
+          <button onClick={() => setDraft(DEFAULT_EDIT)} className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200">还原</button>
+          <div className="flex gap-3">
+            <button onClick={onCancel} className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200">取消</button>
+            <button onClick={() => onSave(normalizeEdit(draft))} className="px-4 py-2 rounded-lg text-white bg-blue-600 hover:bg-blue-500">保存</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+import React, { useEffect, useState } from 'react';
+import { Download, ImageDown } from 'lucide-react';
+import { EXPORT_FORMATS, renderBoard } from '../utils/render-board.js';
+import { resolveBoardTheme } from '../utils/tier-style.js';
+
+const SCALE_OPTIONS = [1, 2, 3];
+const PREVIEW_DELAY = 250;
+
+const inputClass = 'bg-gray-900 border border-gray-600 focus:border-blue-500 text-white px-3 py-2 rounded-lg outline-none';
+
+const ITEM_LABEL_OPTIONS = [
+  { value: 'none', label: '不显示' },
+  { value: 'name', label: '名称' },
+  { value: 'caption', label: '说明' },
+];
+
+export default function ImageExportModal({ tiers, sidebarImageIds, imagesMap, imageMeta, theme, settings, onChange, onCancel, onConfirm }) {
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const update = (field, value) => onChange({ ...settings, [field]: value });
+
+  // Live preview: re-rendered at 1x shortly after the settings stop changing
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const canvas = await renderBoard({ tiers, sidebarImageIds, imagesMap, imageMeta, theme }, { ...settings, scale: 1 });
+      if (!cancelled) setPreviewUrl(canvas.toDataURL('image/png'));
+    }, PREVIEW_DELAY);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [tiers, sidebarImageIds, imagesMap, imageMeta, theme, settings]);
+
+  return (
+    <div className="fixed inset-0 z-[150] flex items-center justify-center bg-black/60 backdrop-blur-sm p-4 animate-in fade-in duration-200">
+      <div className="bg-gray-800 border border-gray-700 p-6 rounded-2xl shadow-2xl max-w-5xl w-full max-h-[95vh] flex flex-col">
+        <div className="flex items-center gap-3 mb-4">
+          <div className="bg-green-500/10 p-2 rounded-full"><ImageDown className="text-green-500" size={24} /></div>
+          <h3 className="text-xl font-bold text-white">导出图片</h3>
+        </div>
+
+        <div className="flex flex-col md:flex-row gap-6 mb-6 min-h-0 flex-1">
+          <div className="flex flex-col gap-4 text-sm md:w-72 flex-shrink-0 overflow-y-auto pr-1">
+            <label className="flex flex-col gap-2">
+              <span className="text-gray-400">标题</span>
+              <input value={settings.title} onChange={(e) => update('title', e.target.value)} placeholder="不显示" className={inputClass} />
+            </label>
+            <label className="flex flex-col gap-2">
+              <span className="text-gray-400">副标题</span>
+              <input value={settings.subtitle} onChange={(e) => update('subtitle', e.target.value)} placeholder="不显示" className={inputClass} />
+            </label>
+            <label className="flex items-center gap-2 text-gray-300">
+              <input type="checkbox" checked={settings.showDate} onChange={(e) => update('showDate', e.target.checked)} />
+              在副标题中显示日期
+            </label>
+            <label className="flex flex-col gap-2">
+              <span className="text-gray-400">作者 / 水印</span>
+              <input value={settings.watermark} onChange={(e) => update('watermark', e.target.value)} placeholder="不显示" className={inputClass} />
+            </label>
+
+            <div className="flex gap-3">
+              <label className="flex flex-col gap-2 flex-1">
+                <span className="text-gray-400">每行图片数</span>
+                <input type="number" min="0" max="50" value={settings.columns} onChange={(e) => update('columns', Number(e.target.value))} className={inputClass} />
+              </label>
+              <label className="flex flex-col gap-2 flex-1">
+                <span className="text-gray-400">缩略图 (px)</span>
+                <input type="number" min="32" max="256" step="8" value={settings.thumbSize} onChange={(e) => update('thumbSize', Number(e.target.value))} className={inputClass} />
+              </label>
+            </div>
+
+            <div className="flex gap-3">
+              <label className="flex flex-col gap-2 flex-1">
+                <span className="text-gray-400">宽度 (px)</span>
+                <input
+                  type="number"
+                  min="400"
+                  max="4000"
+                  step="50"
+                  value={settings.width}
+                  disabled={settings.columns > 0}
+                  onChange={(e) => update('width', Number(e.target.value))}
+                  className={`${inputClass} disabled:opacity-40`}
+                  title={settings.columns > 0 ? '已固定每行图片数，宽度自动计算' : undefined}
+                />
+              </label>
+              <label className="flex flex-col gap-2">
+                <span className="text-gray-400">倍率</span>
+                <select value={settings.scale} onChange={(e) => update('scale', Number(e.target.value))} className={inputClass}>
+                  {SCALE_OPTIONS.map(scale => <option key={scale} value={scale}>{scale}x</option>)}
+                </select>
+              </label>
+            </div>
+            <p className="text-xs text-gray-500 -mt-2">每行图片数为 0 时按宽度自动排列</p>
+
+            <label className="flex items-center justify-between">
+              <span className="text-gray-400">图片标签</span>
+              <select value={settings.itemLabels} onChange={(e) => update('itemLabels', e.target.value)} className={inputClass}>
+                {ITEM_LABEL_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+              </select>
+            </label>
+
+            <label className="flex items-center gap-2 text-gray-300">
+              <input type="checkbox" checked={settings.includePool} onChange={(e) => update('includePool', e.target.checked)} />
+              包含待选图片库
+            </label>
+
+            <div className="flex items-center justify-between gap-3">
+              <span className="text-gray-400">背景颜色</span>
+              <label className="flex items-center gap-2 text-gray-300 ml-auto">
+                <input type="checkbox" checked={!settings.backgroundColor} onChange={(e) => update('backgroundColor', e.target.checked ? '' : resolveBoardTheme(theme).rowBackground)} />
+                跟随看板主题
+              </label>
+              <input
+                type="color"
+                value={settings.backgroundColor || resolveBoardTheme(theme).rowBackground}
+                onChange={(e) => update('backgroundColor', e.target.value)}
+                disabled={!settings.backgroundColor}
+                className="w-10 h-8 cursor-pointer rounded overflow-hidden border-0 p-0 disabled:opacity-40 disabled:cursor-default"
+              />
+            </div>
+
+            <label className="flex flex-col gap-2">
+              <span className="text-gray-400">格式</span>
+              <div className="flex gap-2">
+                {Object.entries(EXPORT_FORMATS).map(([key, format]) => (
+                  <button
+                    key={key}
+                    onClick={() => update('format', key)}
+                    className={`flex-1 px-3 py-2 rounded-lg border transition-colors ${settings.format === key ? 'border-blue-500 bg-blue-500/10 text-white' : 'border-gray-700 text-gray-400 hover:border-gray-500'}`}
+                  >
+                    {format.label}
+                  </button>
+                ))}
+              </div>
+            </label>
+
+            {EXPORT_FORMATS[settings.format].lossy && (
+              <label className="flex flex-col gap-2">
+                <span className="text-gray-400">质量 {Math.round(settings.quality * 100)}%</span>
+                <input type="range" min="0.5" max="1" step="0.01" value={settings.quality} onChange={(e) => update('quality', Number(e.target.value))} />
+              </label>
+            )}
+          </div>
+
+          <div className="flex-1 min-h-[200px] bg-gray-900/60 rounded-xl border border-gray-700 p-3 overflow-auto flex items-start justify-center">
+            {previewUrl ? (
+              <img src={previewUrl} alt="export preview" className="max-w-full h-auto shadow-lg" />
+            ) : (
+              <div className="self-center animate-spin rounded-full h-8 w-8 border-4 border-blue-500 border-t-transparent"></div>
+            )}
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <button onClick={onCancel} className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200">取消</button>
+          <button onClick={onConfirm} className="flex items-center gap-2 px-4 py-2 rounded-lg text-white bg-green-600 hover:bg-green-500 shadow-lg"><Download size={16} /> 生成图片</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { AlertTriangle, CheckCircle2, XCircle } from 'lucide-react';
+
+const ISSUE_LABELS = {
+  'unknown-id': '引用了不存在的图片',
+  'duplicate-placement': '图片被重复放置',
+  'orphaned-image': '未被放置的图片',
+  'missing-sidebar': '缺少待选图片库',
+  'invalid-tier': '评级行数据无效',
+};
+
+const optionClass = (active) => `flex-1 text-sm px-3 py-2 rounded-lg border transition-colors ${active ? 'border-blue-500 bg-blue-500/10 text-white' : 'border-gray-700 text-gray-400 hover:border-gray-500'}`;
+
+// `review.newBoardName` is set when the import creates a new board (share links,
+// group consensus); the overwrite/merge choice does not apply then.
+export default function ImportReviewModal({ review, onCancel, onConfirm }) {
+  const { fileName, errors, issues, newBoardName } = review;
+  const [mode, setMode] = useState('overwrite'); // 'overwrite' | 'merge'
+  const [placement, setPlacement] = useState('imported'); // merge only: 'imported' | 'pool'
+  const isFatal = errors.length > 0;
+  const issueCounts = issues.reduce((counts, issue) => ({ ...counts, [issue.type]: (counts[issue.type] || 0) + 1 }), {});
+
+  return (
+    <div className="fixed inset-0 z-[150] flex items-center justify-center bg-black/60 backdrop-blur-sm p-4 animate-in fade-in duration-200">
+      <div className="bg-gray-800 border border-gray-700 p-6 rounded-2xl shadow-2xl max-w-lg w-full">
+        <div className="flex items-center gap-3 mb-4">
+          {isFatal ? (
+            <div className="bg-red-500/10 p-2 rounded-full"><XCircle className="text-red-500" size={24} /></div>
+          ) : issues.length > 0 ? (
+            <div className="bg-yellow-500/10 p-2 rounded-full"><AlertTriangle className="text-yellow-500" size={24} /></div>
+          ) : (
+            <div className="bg-green-500/10 p-2 rounded-full"><CheckCircle2 className="text-green-500" size={24} /></div>
+          )}
+          <div className="min-w-0">
+            <h3 className="text-xl font-bold text-white">导入检查</h3>
+            <p className="text-xs text-gray-500 truncate">{fileName}</p>
+          </div>
+        </div>
+
+        {!isFatal && !newBoardName && (
+          <div className="mb-5 flex flex-col gap-3">
+            <div className="flex gap-2">
+              <button onClick={() => setMode('overwrite')} className={optionClass(mode === 'overwrite')}>覆盖当前看板</button>
+              <button onClick={() => setMode('merge')} className={optionClass(mode === 'merge')}>合并到当前看板</button>
+            </div>
+            {mode === 'merge' && (
+              <div className="bg-gray-900/50 rounded-lg p-3 text-sm text-gray-400 flex flex-col gap-2">
+                <p>按标题匹配评级行，找不到同名评级行时追加为新行；ID 冲突的图片会自动分配新 ID，现有内容不会被删除。</p>
+                <div className="flex gap-2">
+                  <button onClick={() => setPlacement('imported')} className={optionClass(placement === 'imported')}>保留导入的评级</button>
+                  <button onClick={() => setPlacement('pool')} className={optionClass(placement === 'pool')}>全部放入图片库</button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {isFatal ? (
+          <div className="mb-8">
+            <p className="text-gray-300 mb-3">无法导入此文件，当前看板未做任何修改：</p>
+            <ul className="text-sm text-red-400 list-disc pl-5 space-y-1">
+              {errors.map((error, i) => <li key={i}>{error}</li>)}
+            </ul>
+          </div>
+        ) : issues.length > 0 ? (
+          <div className="mb-8">
+            <p className="text-gray-300 mb-3">文件中发现 {issues.length} 个问题，可以自动修复后导入{newBoardName ? `（修复后的结果将存入新看板「${newBoardName}」）` : mode === 'overwrite' ? '（修复后的结果将覆盖当前看板）' : ''}：</p>
+            <div className="flex flex-wrap gap-2 mb-3">
+              {Object.entries(issueCounts).map(([type, count]) => (
+                <span key={type} className="text-xs bg-yellow-500/10 text-yellow-400 px-2 py-1 rounded-full">{ISSUE_LABELS[type] || type} × {count}</span>
+              ))}
+            </div>
+            <ul className="text-xs text-gray-400 bg-gray-900/50 rounded-lg p-3 max-h-48 overflow-y-auto space-y-1">
+              {issues.map((issue, i) => <li key={i}>{issue.message}</li>)}
+            </ul>
+          </div>
+        ) : (
+          <p className="text-gray-300 mb-8 leading-relaxed">
+            {newBoardName
+              ? `文件检查通过。将新建看板「${newBoardName}」，当前看板不受影响。`
+              : mode === 'overwrite' ? '文件检查通过。导入配置将覆盖当前看板的所有进度（覆盖前会自动保存一个快照），确定继续吗？' : '文件检查通过。导入的图片和评级行将合并到当前看板，可以撤销。'}
+          </p>
+        )}
+
+        <div className="flex justify-end gap-3">
+          <button onClick={onCancel} className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200">{isFatal ? '关闭' : '取消'}</button>
+          {!isFatal && (
+            <button onClick={() => onConfirm({ mode, placement })} className={`px-4 py-2 rounded-lg text-white ${issues.length > 0 ? 'bg-yellow-600 hover:bg-yellow-500' : 'bg-blue-600 hover:bg-blue-500'}`}>
+              {issues.length > 0 ? '自动修复并导入' : newBoardName ? '新建看板' : mode === 'overwrite' ? '覆盖导入' : '合并导入'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
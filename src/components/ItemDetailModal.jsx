@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { Crop, Info, Type, X } from 'lucide-react';
+import LazyImage from './LazyImage.jsx';
+
+const inputClass = 'bg-gray-900 border border-gray-600 focus:border-blue-500 text-white px-3 py-2 rounded-lg outline-none w-full';
+
+export default function ItemDetailModal({ imageId, imageCache, meta, onClose, onSave, onEditImage, onEditText }) {
+  const [draft, setDraft] = useState({ name: meta.name || '', caption: meta.caption || '', notes: meta.notes || '', tags: (meta.tags || []).join(', ') });
+  const update = (field, value) => setDraft({ ...draft, [field]: value });
+
+  return (
+    <div className="fixed inset-0 z-[150] flex items-center justify-center bg-black/60 backdrop-blur-sm p-4 animate-in fade-in duration-200">
+      <div className="bg-gray-800 border border-gray-700 p-6 rounded-2xl shadow-2xl max-w-lg w-full">
+        <div className="flex items-center gap-3 mb-4">
+          <div className="bg-blue-500/10 p-2 rounded-full"><Info className="text-blue-400" size={24} /></div>
+          <h3 className="text-xl font-bold text-white flex-1">图片详情</h3>
+          <button onClick={onClose} className="p-1 rounded-lg hover:bg-gray-700 text-gray-400"><X size={20} /></button>
+        </div>
+
+        <div className="flex flex-col sm:flex-row gap-4 mb-6">
+          <div className="flex flex-col gap-2 flex-shrink-0">
+            <LazyImage cache={imageCache} id={imageId} edit={meta.edit} alt={draft.name || 'item'} eager full fitted={false} className="w-full sm:w-40 h-40 object-contain bg-gray-900 rounded-lg" />
+            <button onClick={onEditImage} className="flex items-center justify-center gap-1 px-3 py-1.5 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200 text-sm"><Crop size={14} /> 裁剪与显示</button>
+            {meta.textTile && (
+              <button onClick={onEditText} className="flex items-center justify-center gap-1 px-3 py-1.5 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200 text-sm"><Type size={14} /> 编辑文字图块</button>
+            )}
+          </div>
+          <div className="flex flex-col gap-3 flex-1 text-sm">
+            <label className="flex flex-col gap-1">
+              <span className="text-gray-400">名称</span>
+              <input value={draft.name} onChange={(e) => update('name', e.target.value)} className={inputClass} autoFocus />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-gray-400">说明（显示在缩略图下方）</span>
+              <input value={draft.caption} onChange={(e) => update('caption', e.target.value)} className={inputClass} />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-gray-400">标签（用逗号分隔）</span>
+              <input value={draft.tags} onChange={(e) => update('tags', e.target.value)} className={inputClass} />
+            </label>
+          </div>
+        </div>
+
+        <label className="flex flex-col gap-1 text-sm mb-6">
+          <span className="text-gray-400">备注</span>
+          <textarea value={draft.notes} onChange={(e) => update('notes', e.target.value)} rows={4} className={`${inputClass} resize-y`} />
+        </label>
+
+        <div className="flex justify-end gap-3">
+          <button onClick={onClose} className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200">取消</button>
+          <button onClick={() => { onSave({ ...draft, tags: draft.tags.split(/[,，]/) }); onClose(); }} className="px-4 py-2 rounded-lg text-white bg-blue-600 hover:bg-blue-500">保存</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+import React, { memo, useEffect, useRef, useState } from 'react';
+import { Check } from 'lucide-react';
+import LazyImage from './LazyImage.jsx';
+import { isFilterActive, matchesFilter } from '../utils/item-filter.js';
+
+// Virtualized lists use a fixed grid that mirrors the flex layout:
+// w-20 items with m-1 margins, gap-2 between them
+const GAP = 8;
+const CELL_WIDTH = 88 + GAP;
+const CELL_HEIGHT = 104 + GAP; // thumbnail plus one caption line
+const OVERSCAN_ROWS = 3;
+
+// Grid rows currently on screen (plus overscan), measured against the window scroll.
+// State is only set from the observer/scroll callbacks, so idle lists never re-render.
+const useVisibleRows = (enabled) => {
+  const containerRef = useRef(null);
+  const [grid, setGrid] = useState({ columns: 1, firstRow: 0, lastRow: 0 });
+
+  useEffect(() => {
+    if (!enabled) return;
+    const el = containerRef.current;
+    const measure = () => {
+      const rect = el.getBoundingClientRect();
+      const columns = Math.max(1, Math.floor((rect.width + GAP) / CELL_WIDTH));
+      const firstRow = Math.max(0, Math.floor(-rect.top / CELL_HEIGHT) - OVERSCAN_ROWS);
+      const lastRow = Math.max(0, Math.ceil((window.innerHeight - rect.top) / CELL_HEIGHT) + OVERSCAN_ROWS);
+      setGrid(prev => (prev.columns === columns && prev.firstRow === firstRow && prev.lastRow === lastRow ? prev : { columns, firstRow, lastRow }));
+    };
+    // ResizeObserver also reports once right after observe(), which gives the first measurement
+    const observer = new ResizeObserver(measure);
+    observer.observe(el);
+    window.addEventListener('scroll', measure, { passive: true });
+    window.addEventListener('resize', measure);
+    return () => {
+      observer.disconnect();
+      window.removeEventListener('scroll', measure);
+      window.removeEventListener('resize', measure);
+    };
+  }, [enabled]);
+
+  return [containerRef, grid];
+};
+
+// The items of one tier or of the pool. Memoized: a drag-over only re-renders
+// the lists whose `dropIndex` changed, so every prop must stay referentially
+// stable between renders (`actions` in particular).
+//
+// The pool hides items that don't match the filter; tiers keep them but dim them.
+// `index` always refers to the unfiltered list (minus the dragged items), so
+// dropTarget and the drop handlers never see positions shifted by hidden items.
+const ItemList = ({ listId, imageIds, dropIndex, activeDragId, draggedIds, selectedIds, imageMeta, filter, imageCache, actions, virtualized = false }) => {
+  const [containerRef, grid] = useVisibleRows(virtualized);
+  const isPool = listId === 'sidebar';
+  const filterActive = isFilterActive(filter);
+  const selectedSet = new Set(selectedIds);
+
+  const entries = imageIds
+    .filter(id => !draggedIds.includes(id))
+    .map((id, index) => ({ type: 'ITEM', id, index, matched: !filterActive || matchesFilter(imageMeta[id], !isPool, filter) }));
+  const displayItems = isPool ? entries.filter(entry => entry.matched) : entries;
+
+  if (dropIndex !== null && activeDragId) {
+    const idx = displayItems.findIndex(entry => entry.index >= dropIndex);
+    displayItems.splice(idx === -1 ? displayItems.length : idx, 0, { type: 'GHOST', id: activeDragId });
+  }
+
+  // Absolute position of the n-th display item on the virtual grid
+  const cellStyle = (position) => ({
+    position: 'absolute',
+    left: (position % grid.columns) * CELL_WIDTH,
+    top: Math.floor(position / grid.columns) * CELL_HEIGHT,
+  });
+
+  const renderGhost = (position) => (
+    <div
+      key="ghost-placeholder"
+      data-drop-ghost
+      onDragOver={(e) => {
+        e.preventDefault();
+        e.stopPropagation();
+      }}
+      style={virtualized ? cellStyle(position) : undefined}
+      className="relative w-20 h-20 m-1 flex-shrink-0 bg-gray-600/50 rounded-md border-2 border-dashed border-blue-400 animate-pulse flex items-center justify-center pointer-events-auto"
+    >
+      <LazyImage cache={imageCache} id={activeDragId} edit={imageMeta[activeDragId]?.edit} alt="ghost" eager className="w-full h-full opacity-50 rounded-md grayscale" />
+      {draggedIds.length > 1 && (
+        <span className="absolute -top-2 -right-2 min-w-[1.5rem] h-6 px-1 rounded-full bg-blue-600 text-white text-xs font-bold flex items-center justify-center shadow">{draggedIds.length}</span>
+      )}
+    </div>
+  );
+
+  const renderItem = (item, position) => {
+    const meta = imageMeta[item.id] || {};
+    const highlight = filterActive && !isPool ? (item.matched ? 'ring-2 ring-blue-400 rounded-md' : 'opacity-30') : '';
+    const isSelected = selectedSet.has(item.id);
+
+    return (
+      <div
+        key={item.id}
+        className={`relative w-20 m-1 flex-shrink-0 group cursor-grab active:cursor-grabbing hover:scale-105 transition-transform outline-none focus-visible:ring-2 focus-visible:ring-yellow-400 focus-visible:rounded-md ${highlight}`}
+        style={{ WebkitTouchCallout: 'none', ...(virtualized ? cellStyle(position) : {}) }}
+        draggable="true"
+        tabIndex={0}
+        role="button"
+        aria-roledescription="可拖动图片"
+        aria-label={meta.name || '图片'}
+        aria-pressed={isSelected}
+        title={meta.name}
+        data-item-id={item.id}
+        data-item-index={item.index}
+        data-tier-id={listId}
+        onDragStart={(e) => actions.onDragStart(e, item.id, listId)}
+        onDragOver={(e) => actions.onDragOverItem(e, listId, item.id, item.index)}
+        onPointerDown={(e) => actions.onPointerDown(e, item.id, listId)}
+        onPointerMove={actions.onPointerMove}
+        onPointerUp={actions.onPointerEnd}
+        onPointerCancel={actions.onPointerEnd}
+        onContextMenu={actions.onContextMenu}
+        onKeyDown={(e) => actions.onKeyDown(e, item.id, listId)}
+        onClick={(e) => actions.onClick(e, item.id, listId)}
+        onDoubleClick={() => actions.onOpen(item.id)}
+      >
+        <LazyImage
+          cache={imageCache}
+          id={item.id}
+          edit={meta.edit}
+          alt={meta.name || 'item'}
+          domId={`img-content-${item.id}`}
+          className="w-20 h-20 rounded-md shadow-sm select-none pointer-events-none"
+        />
+        {meta.caption && (
+          <div className="mt-0.5 text-[10px] leading-tight text-[color:var(--item-caption,#d1d5db)] text-center truncate select-none pointer-events-none">{meta.caption}</div>
+        )}
+        {isSelected && (
+          <div className="absolute top-0 left-0 w-20 h-20 rounded-md ring-2 ring-sky-400 bg-sky-400/20 pointer-events-none">
+            <Check size={14} className="absolute top-1 right-1 p-0.5 rounded-full bg-sky-500 text-white" />
+          </div>
+        )}
+        <div className="absolute inset-0 bg-transparent" />
+      </div>
+    );
+  };
+
+  const renderEntry = (item, position) => (item.type === 'GHOST' ? renderGhost(position) : renderItem(item, position));
+
+  // Keeps the native drag going after the dragged item itself left the DOM
+  const hiddenSource = imageIds.includes(activeDragId) && (
+    <div style={{ position: 'absolute', width: 0, height: 0, opacity: 0, overflow: 'hidden', pointerEvents: 'none' }}>
+      <LazyImage cache={imageCache} id={activeDragId} edit={imageMeta[activeDragId]?.edit} alt="hidden source" eager />
+    </div>
+  );
+
+  if (!virtualized) {
+    return (
+      <>
+        {displayItems.map((item, position) => renderEntry(item, position))}
+        {hiddenSource}
+      </>
+    );
+  }
+
+  // Only the rows near the viewport are mounted; the ghost always is, so a
+  // keyboard drag can scroll it into view
+  const rows = Math.ceil(displayItems.length / grid.columns);
+  const first = grid.firstRow * grid.columns;
+  const last = (grid.lastRow + 1) * grid.columns;
+  return (
+    <div ref={containerRef} className="relative w-full" style={{ height: rows * CELL_HEIGHT }}>
+      {displayItems.map((item, position) => (
+        (position >= first && position < last) || item.type === 'GHOST' ? renderEntry(item, position) : null
+      ))}
+      {hiddenSource}
+    </div>
+  );
+};
+
+export default memo(ItemList);
@@ -0,0 +1,32 @@
+import React, { useEffect, useRef, useState, useSyncExternalStore } from 'react';
+import { getFitStyle, needsRendition } from '../utils/image-edit.js';
+
+// How far outside the viewport images start loading
+const PRELOAD_MARGIN = '300px';
+
+// An image from the image cache, loaded once it scrolls near the viewport.
+// `edit` picks the variant: the baked rendition for crop/rotate, else the thumbnail.
+// `full` asks for the full-size image (or rendition) instead, for large views.
+// `fitted` applies the edit's fit/focus; turn it off to let the class decide.
+export default function LazyImage({ cache, id, edit, alt, domId, className = '', eager = false, fitted = true, full = false }) {
+  const variant = needsRendition(edit) ? (full ? 'edited' : 'edited-thumb') : (full ? 'full' : 'thumb');
+  const url = useSyncExternalStore(cache.subscribe, () => cache.get(id, variant, edit));
+  const [isNear, setIsNear] = useState(eager);
+  const placeholderRef = useRef(null);
+
+  useEffect(() => {
+    if (isNear || url) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) setIsNear(true);
+    }, { rootMargin: PRELOAD_MARGIN });
+    observer.observe(placeholderRef.current);
+    return () => observer.disconnect();
+  }, [isNear, url]);
+
+  useEffect(() => {
+    if (isNear && !url) cache.load(id, variant, edit);
+  }, [cache, id, variant, edit, isNear, url]);
+
+  if (!url) return <div ref={placeholderRef} id={domId} className={`${className} bg-gray-700/60`} />;
+  return <img id={domId} src={url} alt={alt} draggable={false} className={className} style={fitted ? getFitStyle(edit) : undefined} />;
+}
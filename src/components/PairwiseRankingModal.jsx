@@ -0,0 +1,187 @@
+import React, { useEffect, useState } from 'react';
+import { ListOrdered, RotateCcw, Swords, Undo2, X } from 'lucide-react';
+import LazyImage from './LazyImage.jsx';
+import { tierColorStyle } from '../utils/tier-style.js';
+import { ELO_ROUNDS_PER_ITEM, PAIRWISE_METHODS, answer, createSession, distribute, isSessionDone, nextPair, quantileCuts, sessionProgress, sessionRanking } from '../utils/pairwise-ranking.js';
+
+const UNDO_LIMIT = 20;
+
+const inputClass = 'bg-gray-900 border border-gray-600 focus:border-blue-500 text-white px-3 py-2 rounded-lg outline-none';
+
+// Compares pool images two at a time, then spreads the resulting order over the tiers.
+// The session lives in the parent (saved per board); undo only covers this sitting.
+export default function PairwiseRankingModal({ session, imageIds, imageMeta, imageCache, tiers, onSessionChange, onApply, onClose }) {
+  const [method, setMethod] = useState('sort');
+  const [rounds, setRounds] = useState(imageIds.length * ELO_ROUNDS_PER_ITEM);
+  const [undoStack, setUndoStack] = useState([]);
+  const [showResult, setShowResult] = useState(false);
+  const [cutMode, setCutMode] = useState('quantile'); // 'quantile' | 'custom'
+  const [customCuts, setCustomCuts] = useState(null);
+
+  const pair = session && !showResult ? nextPair(session) : null;
+  const ranking = session ? sessionRanking(session) : [];
+  const cuts = cutMode === 'custom' && customCuts ? customCuts : quantileCuts(ranking.length, tiers.length);
+  const groups = distribute(ranking, cuts);
+  const progress = session ? sessionProgress(session) : null;
+  const newImageCount = session ? imageIds.filter(id => !session.itemIds.includes(id)).length : 0;
+
+  const start = () => {
+    setUndoStack([]);
+    setShowResult(false);
+    onSessionChange(createSession(method, imageIds, { rounds: Math.max(1, Number(rounds) || 1) }));
+  };
+
+  const choose = (winnerId) => {
+    setUndoStack(prev => [...prev, session].slice(-UNDO_LIMIT));
+    onSessionChange(answer(session, winnerId));
+  };
+
+  const undo = () => {
+    if (undoStack.length === 0) return;
+    onSessionChange(undoStack[undoStack.length - 1]);
+    setUndoStack(prev => prev.slice(0, -1));
+  };
+
+  const restart = () => {
+    if (!confirm("确定放弃当前的比较进度吗？")) return;
+    setUndoStack([]);
+    setShowResult(false);
+    onSessionChange(null);
+  };
+
+  const updateCut = (index, value) => {
+    const next = [...cuts];
+    next[index] = Math.max(0, Math.min(ranking.length, Number(value) || 0));
+    setCustomCuts(next);
+    setCutMode('custom');
+  };
+
+  // ← / → pick a side, Backspace undoes
+  useEffect(() => {
+    if (!pair) return;
+    const handleKeyDown = (e) => {
+      if (e.target.closest?.('input, textarea, select')) return;
+      if (e.key === 'ArrowLeft') choose(pair[0]);
+      else if (e.key === 'ArrowRight') choose(pair[1]);
+      else if (e.key === 'Backspace') undo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const renderChoice = (id, hint) => (
+    <button onClick={() => choose(id)} className="flex-1 min-w-0 flex flex-col items-center gap-2 p-3 rounded-xl bg-gray-900/60 border-2 border-gray-700 hover:border-blue-500 transition-colors">
+      <LazyImage cache={imageCache} id={id} edit={imageMeta[id]?.edit} alt={imageMeta[id]?.name || 'item'} eager fitted={false} className="w-full aspect-square object-contain rounded-lg" />
+      <span className="text-sm text-gray-200 truncate max-w-full">{imageMeta[id]?.name || '图片'}</span>
+      <span className="text-xs text-gray-500">{hint}</span>
+    </button>
+  );
+
+  return (
+    <div className="fixed inset-0 z-[150] flex items-center justify-center bg-black/60 backdrop-blur-sm p-4 animate-in fade-in duration-200">
+      <div className="bg-gray-800 border border-gray-700 p-6 rounded-2xl shadow-2xl max-w-3xl w-full max-h-[95vh] flex flex-col">
+        <div className="flex items-center gap-3 mb-4">
+          <div className="bg-blue-500/10 p-2 rounded-full"><Swords className="text-blue-400" size={24} /></div>
+          <h3 className="text-xl font-bold text-white flex-1">两两比较排名</h3>
+          <button onClick={onClose} className="p-1 rounded-lg hover:bg-gray-700 text-gray-400"><X size={20} /></button>
+        </div>
+
+        {!session && (
+          <div className="flex flex-col gap-4 text-sm">
+            <p className="text-gray-400">每次显示待选图片库中的两张图片，选出更好的一张。比较结束后按排名自动分配到 {tiers.length} 个评级行。进度会自动保存，关闭后可以继续。</p>
+            {Object.entries(PAIRWISE_METHODS).map(([id, info]) => (
+              <label key={id} className={`flex gap-3 p-3 rounded-lg border cursor-pointer ${method === id ? 'border-blue-500 bg-blue-500/10' : 'border-gray-700 hover:border-gray-500'}`}>
+                <input type="radio" checked={method === id} onChange={() => setMethod(id)} className="mt-1" />
+                <span className="flex flex-col gap-1">
+                  <span className="text-gray-100">{info.label}</span>
+                  <span className="text-xs text-gray-400">{info.description}</span>
+                </span>
+              </label>
+            ))}
+            {method === 'elo' && (
+              <label className="flex items-center justify-between gap-3">
+                <span className="text-gray-400">比较次数</span>
+                <input type="number" min={1} value={rounds} onChange={(e) => setRounds(e.target.value)} className={`${inputClass} w-28`} />
+              </label>
+            )}
+            <button onClick={start} disabled={imageIds.length < 2} className="px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-500 text-white font-medium disabled:opacity-40">
+              {imageIds.length < 2 ? '图片库中至少需要 2 张图片' : `开始比较（${imageIds.length} 张图片）`}
+            </button>
+          </div>
+        )}
+
+        {session && (
+          <div className="flex items-center gap-3 mb-4 text-xs text-gray-400">
+            <span>{PAIRWISE_METHODS[session.method].label}</span>
+            <div className="flex-1 h-2 rounded bg-gray-700 overflow-hidden">
+              <div className="h-full bg-blue-500" style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 100}%` }} />
+            </div>
+            <span>{progress.done} / {session.method === 'sort' ? '约 ' : ''}{progress.total}</span>
+            <button onClick={restart} className="p-1.5 rounded bg-gray-700 hover:bg-gray-600 text-gray-200" title="重新开始"><RotateCcw size={14} /></button>
+          </div>
+        )}
+
+        {pair && (
+          <div className="flex flex-col gap-4">
+            <div className="flex gap-4">
+              {renderChoice(pair[0], '← 方向键')}
+              {renderChoice(pair[1], '方向键 →')}
+            </div>
+            <div className="flex items-center gap-2 text-sm">
+              <button onClick={undo} disabled={undoStack.length === 0} className="flex items-center gap-1 px-3 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200 disabled:opacity-40"><Undo2 size={14} /> 撤销</button>
+              <div className="flex-1" />
+              <button onClick={() => setShowResult(true)} className="flex items-center gap-1 px-3 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200"><ListOrdered size={14} /> 提前查看结果</button>
+            </div>
+          </div>
+        )}
+
+        {session && !pair && (
+          <div className="flex flex-col gap-4 min-h-0 text-sm">
+            <div className="flex flex-wrap items-center gap-2">
+              {!isSessionDone(session) && (
+                <button onClick={() => setShowResult(false)} className="px-3 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200">继续比较</button>
+              )}
+              <span className="text-gray-400">分配方式</span>
+              <select value={cutMode} onChange={(e) => setCutMode(e.target.value)} className={inputClass}>
+                <option value="quantile">按分位数平均分配</option>
+                <option value="custom">自定义分割点</option>
+              </select>
+              <div className="flex-1" />
+              <button
+                onClick={() => onApply(groups)}
+                className="px-4 py-2 rounded-lg bg-green-600 hover:bg-green-500 text-white font-medium"
+              >
+                分配到评级行
+              </button>
+            </div>
+            {!isSessionDone(session) && <p className="text-xs text-yellow-400">比较尚未完成，{session.method === 'sort' ? '还未排好的图片排在最后' : '排名可能还不够准确'}。</p>}
+            {newImageCount > 0 && <p className="text-xs text-gray-500">图片库中有 {newImageCount} 张新图片不在本次比较中，重新开始即可包含它们。</p>}
+
+            <div className="min-h-0 overflow-y-auto pr-1 flex flex-col gap-2">
+              {tiers.map((tier, index) => (
+                <div key={tier.id} className="flex items-center gap-3 p-2 rounded-lg bg-gray-900/50 border border-gray-700">
+                  <span className="w-16 h-10 flex-shrink-0 rounded flex items-center justify-center text-sm font-bold truncate px-1" style={tierColorStyle(tier)}>{tier.label}</span>
+                  <div className="flex-1 flex flex-wrap gap-1 min-w-0">
+                    {groups[index].map(id => (
+                      <LazyImage key={id} cache={imageCache} id={id} edit={imageMeta[id]?.edit} alt={imageMeta[id]?.name || 'item'} className="w-10 h-10 rounded" />
+                    ))}
+                    {groups[index].length === 0 && <span className="text-xs text-gray-600 self-center">（空）</span>}
+                  </div>
+                  {index < tiers.length - 1 && (
+                    <label className="flex flex-col items-end text-xs text-gray-500 flex-shrink-0">
+                      分割于第
+                      <input type="number" min={0} max={ranking.length} value={cuts[index]} onChange={(e) => updateCut(index, e.target.value)} className="w-16 bg-gray-900 border border-gray-600 text-white px-2 py-1 rounded outline-none" />
+                      名之后
+                    </label>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { Check, Copy, FolderOpen, Library, Pencil, Plus, Trash2, X } from 'lucide-react';
+import { BUILTIN_TEMPLATES, DEFAULT_TEMPLATE_ID } from '../utils/tier-templates.js';
+
+// `templates`: the custom tier templates; new boards start from the picked one
+export default function ProjectLibraryModal({ projects, activeProjectId, templates, onClose, onCreate, onSwitch, onRename, onDuplicate, onDelete }) {
+  const [newName, setNewName] = useState('');
+  const [templateId, setTemplateId] = useState(DEFAULT_TEMPLATE_ID);
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+
+  const submitCreate = () => {
+    if (!newName.trim()) return alert("请输入看板名称");
+    onCreate(newName.trim(), templateId);
+    setNewName('');
+  };
+
+  const submitRename = () => {
+    if (!editingName.trim()) return alert("请输入看板名称");
+    onRename(editingId, editingName.trim());
+    setEditingId(null);
+  };
+
+  return (
+    <div className="fixed inset-0 z-[150] flex items-center justify-center bg-black/60 backdrop-blur-sm p-4 animate-in fade-in duration-200">
+      <div className="bg-gray-800 border border-gray-700 p-6 rounded-2xl shadow-2xl max-w-lg w-full">
+        <div className="flex items-center gap-3 mb-4">
+          <div className="bg-blue-500/10 p-2 rounded-full"><Library className="text-blue-400" size={24} /></div>
+          <h3 className="text-xl font-bold text-white flex-1">我的看板</h3>
+          <button onClick={onClose} className="p-1 rounded-lg hover:bg-gray-700 text-gray-400"><X size={20} /></button>
+        </div>
+
+        <div className="flex flex-col gap-2 max-h-[50vh] overflow-y-auto mb-6">
+          {projects.map(project => {
+            const isActive = project.id === activeProjectId;
+            return (
+              <div key={project.id} className={`flex items-center gap-2 p-2 rounded-lg border ${isActive ? 'border-blue-500 bg-blue-500/10' : 'border-gray-700 bg-gray-900/50'}`}>
+                {editingId === project.id ? (
+                  <>
+                    <input
+                      value={editingName}
+                      onChange={(e) => setEditingName(e.target.value)}
+                      onKeyDown={(e) => { if (e.key === 'Enter') submitRename(); if (e.key === 'Escape') setEditingId(null); }}
+                      className="bg-gray-900 border border-gray-600 focus:border-blue-500 text-white px-2 py-1 rounded flex-1 outline-none"
+                      autoFocus
+                    />
+                    <button onClick={submitRename} className="p-1.5 rounded bg-green-600 hover:bg-green-500 text-white" title="确定"><Check size={14} /></button>
+                  </>
+                ) : (
+                  <>
+                    <button
+                      onClick={() => onSwitch(project.id)}
+                      disabled={isActive}
+                      className="flex-1 text-left px-2 py-1 text-gray-100 truncate flex items-center gap-2 disabled:cursor-default"
+                    >
+                      <FolderOpen size={16} className={isActive ? 'text-blue-400' : 'text-gray-500'} />
+                      <span className="truncate">{project.name}</span>
+                      {isActive && <span className="text-xs text-blue-400 flex-shrink-0">当前</span>}
+                    </button>
+                    <button onClick={() => { setEditingId(project.id); setEditingName(project.name); }} className="p-1.5 rounded bg-gray-700 hover:bg-gray-600 text-gray-200" title="重命名"><Pencil size={14} /></button>
+                  </>
+                )}
+                <button onClick={() => onDuplicate(project.id)} className="p-1.5 rounded bg-gray-700 hover:bg-gray-600 text-gray-200" title="复制"><Copy size={14} /></button>
+                <button
+                  onClick={() => onDelete(project.id)}
+                  disabled={projects.length <= 1}
+                  className="p-1.5 rounded bg-gray-700 hover:bg-red-600 text-gray-200 disabled:opacity-30 disabled:hover:bg-gray-700"
+                  title="删除"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex items-center gap-2">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') submitCreate(); }}
+            placeholder="新看板名称"
+            className="bg-gray-900 border border-gray-600 focus:border-blue-500 text-white px-3 py-2 rounded-lg flex-1 outline-none"
+          />
+          <select
+            value={templateId}
+            onChange={(e) => setTemplateId(e.target.value)}
+            className="bg-gray-900 border border-gray-600 focus:border-blue-500 text-white px-2 py-2 rounded-lg outline-none max-w-[9rem] text-sm"
+            title="评级模板"
+          >
+            {[...BUILTIN_TEMPLATES, ...templates].map(template => <option key={template.id} value={template.id}>{template.name}</option>)}
+          </select>
+          <button onClick={submitCreate} className="flex items-center gap-2 px-4 py-2 rounded-lg text-white bg-blue-600 hover:bg-blue-500 text-sm"><Plus size={16} /> 新建</button>
+        </div>
+      </div>
+    </div>
+  );
+}
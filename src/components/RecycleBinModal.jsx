@@ -0,0 +1,71 @@
+import React from 'react';
+import { ArchiveRestore, Trash2, X } from 'lucide-react';
+import LazyImage from './LazyImage.jsx';
+
+const AUTO_PURGE_OPTIONS = [
+  { days: 0, label: '永不' },
+  { days: 1, label: '1 天后' },
+  { days: 7, label: '7 天后' },
+  { days: 30, label: '30 天后' },
+  { days: 90, label: '90 天后' },
+];
+
+export default function RecycleBinModal({ bin, tiers, imageCache, autoPurgeDays, onClose, onRestore, onDelete, onEmpty, onChangeAutoPurge }) {
+  const describeOrigin = (entry) => {
+    if (entry.tierId === 'sidebar') return '待选图片库';
+    const tier = tiers.find(t => t.id === entry.tierId);
+    return tier ? `评级 ${tier.label}` : '已删除的评级行';
+  };
+
+  return (
+    <div className="fixed inset-0 z-[150] flex items-center justify-center bg-black/60 backdrop-blur-sm p-4 animate-in fade-in duration-200">
+      <div className="bg-gray-800 border border-gray-700 p-6 rounded-2xl shadow-2xl max-w-2xl w-full">
+        <div className="flex items-center gap-3 mb-4">
+          <div className="bg-red-500/10 p-2 rounded-full"><Trash2 className="text-red-500" size={24} /></div>
+          <h3 className="text-xl font-bold text-white flex-1">回收站 <span className="text-sm text-gray-400 font-normal">{bin.length}</span></h3>
+          <button onClick={onClose} className="p-1 rounded-lg hover:bg-gray-700 text-gray-400"><X size={20} /></button>
+        </div>
+
+        {bin.length === 0 ? (
+          <p className="text-gray-500 text-center py-12">回收站是空的</p>
+        ) : (
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-3 max-h-[50vh] overflow-y-auto mb-6 pr-1">
+            {bin.map(entry => (
+              <div key={entry.id} className="bg-gray-900/50 border border-gray-700 rounded-lg p-2 flex flex-col gap-2">
+                <LazyImage cache={imageCache} id={entry.id} alt="trashed item" className="w-full h-24 object-cover rounded-md" />
+                <div className="text-xs text-gray-400 leading-relaxed">
+                  <div className="truncate">来自：{describeOrigin(entry)}</div>
+                  <div>{new Date(entry.trashedAt).toLocaleString()}</div>
+                </div>
+                <div className="flex gap-1">
+                  <button onClick={() => onRestore(entry.id)} className="flex-1 flex items-center justify-center gap-1 text-xs py-1.5 rounded bg-blue-600 hover:bg-blue-500 text-white"><ArchiveRestore size={12} /> 恢复</button>
+                  <button onClick={() => onDelete(entry.id)} className="flex-1 text-xs py-1.5 rounded bg-gray-700 hover:bg-red-600 text-gray-200">永久删除</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center justify-between gap-3 border-t border-gray-700 pt-4">
+          <label className="flex items-center gap-2 text-sm text-gray-400">
+            自动清理
+            <select
+              value={autoPurgeDays}
+              onChange={(e) => onChangeAutoPurge(Number(e.target.value))}
+              className="bg-gray-900 border border-gray-600 text-white rounded px-2 py-1 outline-none focus:border-blue-500"
+            >
+              {AUTO_PURGE_OPTIONS.map(option => <option key={option.days} value={option.days}>{option.label}</option>)}
+            </select>
+          </label>
+          <button
+            onClick={onEmpty}
+            disabled={bin.length === 0}
+            className="px-4 py-2 rounded-lg text-white bg-red-600 hover:bg-red-500 text-sm disabled:opacity-40 disabled:hover:bg-red-600"
+          >
+            清空回收站
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+import React from 'react';
+import { Eraser, Trash2, X } from 'lucide-react';
+
+export default function SelectionBar({ count, tiers, onSendToTier, onReturnToPool, onTrash, onClear }) {
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-[100] flex flex-wrap items-center gap-2 bg-gray-800 border border-gray-700 rounded-xl shadow-2xl p-2 text-sm animate-in fade-in duration-200">
+      <span className="px-2 text-gray-300 font-medium">已选 {count} 张</span>
+      <select
+        value=""
+        onChange={(e) => { if (e.target.value) onSendToTier(e.target.value); }}
+        className="bg-gray-900 border border-gray-600 focus:border-blue-500 text-white px-3 py-2 rounded-lg outline-none"
+      >
+        <option value="">移动到评级行...</option>
+        {tiers.map(tier => <option key={tier.id} value={tier.id}>{tier.label}</option>)}
+      </select>
+      <button onClick={onReturnToPool} className="flex items-center gap-1 px-3 py-2 rounded-lg bg-gray-700 hover:bg-yellow-600 text-gray-200 transition-colors"><Eraser size={14} /> 移回待选</button>
+      <button onClick={onTrash} className="flex items-center gap-1 px-3 py-2 rounded-lg bg-gray-700 hover:bg-red-600 text-gray-200 transition-colors"><Trash2 size={14} /> 移入回收站</button>
+      <button onClick={onClear} className="p-2 rounded-lg hover:bg-gray-700 text-gray-400" title="取消选择"><X size={16} /></button>
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import { Check, Copy, Share2, X } from 'lucide-react';
+import { SHARE_THUMB_MAX_ITEMS } from '../utils/share-link.js';
+
+// link: { url, itemCount, withThumbnails } from createShareLink
+export default function ShareLinkModal({ link, onClose }) {
+  const [copied, setCopied] = useState(false);
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(link.url);
+      setCopied(true);
+    } catch {
+      alert("复制失败，请手动选中链接复制");
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[150] flex items-center justify-center bg-black/60 backdrop-blur-sm p-4 animate-in fade-in duration-200">
+      <div className="bg-gray-800 border border-gray-700 p-6 rounded-2xl shadow-2xl max-w-lg w-full">
+        <div className="flex items-center gap-3 mb-4">
+          <div className="bg-blue-500/10 p-2 rounded-full"><Share2 className="text-blue-400" size={24} /></div>
+          <h3 className="text-xl font-bold text-white flex-1">分享链接</h3>
+          <button onClick={onClose} className="p-1 rounded-lg hover:bg-gray-700 text-gray-400"><X size={20} /></button>
+        </div>
+
+        <div className="flex flex-col gap-3 text-sm">
+          <textarea
+            readOnly
+            value={link.url}
+            onFocus={(e) => e.target.select()}
+            rows={4}
+            className="bg-gray-900 border border-gray-600 text-gray-300 px-3 py-2 rounded-lg outline-none font-mono text-xs break-all resize-none"
+          />
+          <div className="flex items-center gap-3">
+            <span className="text-xs text-gray-500 flex-1">{link.itemCount} 张图片 · 链接长度 {link.url.length.toLocaleString()} 字符</span>
+            <button onClick={copyLink} className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-500 text-white font-medium">
+              {copied ? <Check size={16} /> : <Copy size={16} />} {copied ? '已复制' : '复制链接'}
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">
+            {link.withThumbnails
+              ? '链接中包含缩小的缩略图，打开后可直接看到图片。'
+              : `图片较多（超过 ${SHARE_THUMB_MAX_ITEMS} 张）或缩略图过大，链接中只包含图片名称。`}
+            看板数据全部保存在链接的 # 之后，不会上传到任何服务器；对方打开后是只读视图，可以制作副本导入自己的浏览器。标记为“导出时隐藏”的评级行不会包含在链接中。
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import React from 'react';
+import { Copy, Eye, Image as ImageIcon, LogOut } from 'lucide-react';
+import TierLabel from './TierLabel.jsx';
+import { DEFAULT_ROW_HEIGHT, resolveBoardTheme } from '../utils/tier-style.js';
+
+// Items of a shared board: the inline thumbnail when the link carries one, otherwise the name
+const SharedItem = ({ item }) => (
+  <div className="w-20 m-1 flex-shrink-0" title={item.name}>
+    {item.thumb ? (
+      <img src={item.thumb} alt={item.name || 'item'} draggable={false} className="w-20 h-20 rounded-md shadow-sm object-cover select-none" />
+    ) : (
+      <div className="w-20 h-20 rounded-md bg-gray-700 text-gray-200 text-xs flex items-center justify-center text-center p-1 break-words overflow-hidden select-none">{item.name || '图片'}</div>
+    )}
+    {item.caption && (
+      <div className="mt-0.5 text-[10px] leading-tight text-[color:var(--item-caption,#d1d5db)] text-center truncate select-none">{item.caption}</div>
+    )}
+  </div>
+);
+
+// Read-only rendering of a board opened from a share link. Nothing here can
+// change the board: no drag handlers, no settings and no trash.
+export default function SharedBoardView({ board, onCopy, onExit }) {
+  const colors = resolveBoardTheme(board.theme);
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-gray-100 font-sans flex flex-col">
+      <header className="bg-gray-800 border-b border-gray-700 p-4 sticky top-0 z-50 shadow-xl">
+        <div className="max-w-7xl mx-auto flex flex-col md:flex-row justify-between items-center gap-4">
+          <div className="flex items-center gap-2 min-w-0">
+            <div className="bg-gradient-to-br from-blue-600 to-indigo-600 p-2 rounded-lg shadow-lg">
+              <Eye size={24} className="text-white" />
+            </div>
+            <h1 className="text-2xl font-bold text-gray-100 truncate">{board.name}</h1>
+            <span className="text-xs px-2 py-0.5 rounded-full bg-gray-700 text-gray-300 whitespace-nowrap">只读</span>
+          </div>
+          <div className="flex flex-wrap gap-2 justify-center">
+            <button onClick={onCopy} className="flex items-center gap-2 px-3 py-2 bg-blue-600 hover:bg-blue-500 rounded-lg text-sm font-medium transition-colors"><Copy size={16} /> 制作副本</button>
+            <button onClick={onExit} className="flex items-center gap-2 px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm transition-colors"><LogOut size={16} /> 返回我的看板</button>
+          </div>
+        </div>
+      </header>
+
+      <main className="flex-1 max-w-7xl mx-auto w-full p-4 flex flex-col gap-8 pb-20">
+        <div className="bg-gray-800 rounded-xl shadow-2xl border border-gray-700 overflow-hidden" style={{ '--item-caption': colors.itemText }}>
+          {board.tiers.map((tier, index) => (
+            <div key={index} className="flex border-b last:border-none bg-gray-900" style={{ borderColor: colors.separator, minHeight: tier.minHeight || DEFAULT_ROW_HEIGHT }}>
+              <div className="w-24 md:w-32 flex-shrink-0 flex flex-col items-center justify-center p-2 text-center" style={{ backgroundColor: tier.color }}>
+                <TierLabel tier={tier} />
+              </div>
+              <div className="flex-1 flex flex-wrap content-start items-start p-2 gap-2" style={{ backgroundColor: colors.rowBackground }}>
+                {tier.items.map(itemIndex => <SharedItem key={itemIndex} item={board.items[itemIndex]} />)}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {board.pool.length > 0 && (
+          <div className="flex flex-col gap-4">
+            <h2 className="text-xl font-bold flex items-center gap-2 text-gray-200 border-b border-gray-700 pb-2">
+              <ImageIcon className="text-blue-400" /> 待选图片库 <span className="text-sm bg-gray-800 px-2 py-0.5 rounded-full text-gray-400">{board.pool.length}</span>
+            </h2>
+            <div className="flex flex-wrap gap-2 bg-gray-800/50 rounded-xl border-2 border-dashed border-gray-700 p-4">
+              {board.pool.map(itemIndex => <SharedItem key={itemIndex} item={board.items[itemIndex]} />)}
+            </div>
+          </div>
+        )}
+
+        <p className="text-xs text-gray-500 text-center">
+          这是通过分享链接打开的只读看板，数据全部包含在链接中。点击「制作副本」可将它导入为你自己的看板{board.items.some(item => !item.thumb) ? '（链接中没有缩略图的图片会以名称占位图代替）' : ''}。
+        </p>
+      </main>
+    </div>
+  );
+}
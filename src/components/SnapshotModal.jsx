@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { Camera, Download, GitCompare, History, RotateCcw, Trash2, X } from 'lucide-react';
+import LazyImage from './LazyImage.jsx';
+import { tierColorStyle } from '../utils/tier-style.js';
+import { DIFF_SECTIONS, SNAPSHOT_INTERVALS, diffBoards } from '../utils/snapshots.js';
+
+const CURRENT = 'current';
+
+const tabClass = (active) => `px-3 py-1.5 rounded-lg text-sm transition-colors ${active ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'}`;
+const selectClass = 'bg-gray-900 border border-gray-600 text-white text-sm px-3 py-2 rounded-lg outline-none min-w-0';
+
+const TierChip = ({ tier }) => (
+  tier
+    ? <span className="min-w-[1.25rem] px-1 h-5 rounded text-[10px] font-bold inline-flex items-center justify-center truncate max-w-[3rem]" style={tierColorStyle(tier)}>{tier.label}</span>
+    : <span className="min-w-[1.25rem] h-5 inline-flex items-center justify-center text-[10px] text-gray-500">—</span>
+);
+
+const formatDate = (iso) => new Date(iso).toLocaleString();
+
+// Timeline of the board's snapshots and a diff between any two versions,
+// the live board included.
+export default function SnapshotModal({ snapshots, board, imageMeta, imageCache, interval, onIntervalChange, onCreate, onRestore, onDelete, onExportDiff, onClose }) {
+  const [view, setView] = useState('timeline');
+  const [name, setName] = useState('');
+  const [fromId, setFromId] = useState(snapshots[0]?.id || CURRENT);
+  const [toId, setToId] = useState(CURRENT);
+
+  const versions = [{ id: CURRENT, name: '当前看板', ...board }, ...snapshots];
+  const findVersion = (id) => versions.find(v => v.id === id) || versions[0];
+  const versionLabel = (version) => (version.id === CURRENT ? version.name : `${version.name}（${formatDate(version.createdAt)}）`);
+  const from = findVersion(fromId);
+  const to = findVersion(toId);
+  const diff = view === 'diff' ? diffBoards(from, to) : null;
+
+  const submitCreate = () => {
+    onCreate(name.trim() || `快照 ${new Date().toLocaleString()}`);
+    setName('');
+  };
+
+  const compareWithCurrent = (id) => {
+    setFromId(id);
+    setToId(CURRENT);
+    setView('diff');
+  };
+
+  return (
+    <div className="fixed inset-0 z-[150] flex items-center justify-center bg-black/60 backdrop-blur-sm p-4 animate-in fade-in duration-200">
+      <div className="bg-gray-800 border border-gray-700 p-6 rounded-2xl shadow-2xl max-w-3xl w-full max-h-[95vh] flex flex-col">
+        <div className="flex items-center gap-3 mb-4">
+          <div className="bg-blue-500/10 p-2 rounded-full"><History className="text-blue-400" size={24} /></div>
+          <h3 className="text-xl font-bold text-white flex-1">快照</h3>
+          <button onClick={onClose} className="p-1 rounded-lg hover:bg-gray-700 text-gray-400"><X size={20} /></button>
+        </div>
+
+        <div className="flex gap-2 mb-4">
+          <button onClick={() => setView('timeline')} className={tabClass(view === 'timeline')}>时间线</button>
+          <button onClick={() => setView('diff')} className={tabClass(view === 'diff')}>版本对比</button>
+        </div>
+
+        {view === 'timeline' && (
+          <div className="flex flex-col gap-4 min-h-0 text-sm">
+            <div className="flex gap-2">
+              <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                onKeyDown={(e) => { if (e.key === 'Enter') submitCreate(); }}
+                placeholder="快照名称（可选）"
+                className="bg-gray-900 border border-gray-600 focus:border-blue-500 text-white px-3 py-2 rounded-lg flex-1 outline-none"
+              />
+              <button onClick={submitCreate} className="flex items-center gap-1 px-4 py-2 rounded-lg bg-green-600 hover:bg-green-500 text-white"><Camera size={14} /> 保存快照</button>
+            </div>
+            <label className="flex items-center justify-between gap-3">
+              <span className="text-gray-400">自动快照（看板有变化时）</span>
+              <select value={interval} onChange={(e) => onIntervalChange(Number(e.target.value))} className={selectClass}>
+                {SNAPSHOT_INTERVALS.map(option => <option key={option.minutes} value={option.minutes}>{option.label}</option>)}
+              </select>
+            </label>
+
+            <div className="min-h-0 overflow-y-auto pr-1 flex flex-col gap-2">
+              {snapshots.length === 0 && <p className="text-xs text-gray-500 text-center py-6">还没有快照</p>}
+              {snapshots.map(snapshot => (
+                <div key={snapshot.id} className="flex items-center gap-3 p-3 rounded-lg border border-gray-700 bg-gray-900/50">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="text-gray-100 truncate">{snapshot.name}</span>
+                      {snapshot.auto && <span className="text-[10px] px-1.5 py-0.5 rounded bg-gray-700 text-gray-400 flex-shrink-0">自动</span>}
+                    </div>
+                    <div className="text-xs text-gray-500">{formatDate(snapshot.createdAt)} · 已评级 {snapshot.tiers.reduce((sum, t) => sum + t.imageIds.length, 0)} 张</div>
+                  </div>
+                  <button onClick={() => compareWithCurrent(snapshot.id)} className="p-1.5 rounded bg-gray-700 hover:bg-gray-600 text-gray-200" title="与当前看板对比"><GitCompare size={14} /></button>
+                  <button onClick={() => onRestore(snapshot.id)} className="p-1.5 rounded bg-blue-600 hover:bg-blue-500 text-white" title="恢复此快照"><RotateCcw size={14} /></button>
+                  <button onClick={() => { if (confirm(`确定删除快照「${snapshot.name}」吗？`)) onDelete(snapshot.id); }} className="p-1.5 rounded bg-gray-700 hover:bg-red-600 text-gray-200" title="删除快照"><Trash2 size={14} /></button>
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500">快照引用的图片在快照删除前会一直保留。恢复快照可以撤销；快照之后新增的图片会放回图片库。</p>
+          </div>
+        )}
+
+        {view === 'diff' && (
+          <div className="flex flex-col gap-4 min-h-0 text-sm">
+            <div className="flex flex-wrap items-center gap-2">
+              <select value={from.id} onChange={(e) => setFromId(e.target.value)} className={`${selectClass} flex-1`}>
+                {versions.map(v => <option key={v.id} value={v.id}>{versionLabel(v)}</option>)}
+              </select>
+              <span className="text-gray-500">→</span>
+              <select value={to.id} onChange={(e) => setToId(e.target.value)} className={`${selectClass} flex-1`}>
+                {versions.map(v => <option key={v.id} value={v.id}>{versionLabel(v)}</option>)}
+              </select>
+              <button
+                onClick={() => onExportDiff(diff, `${from.name} → ${to.name}`)}
+                className="flex items-center gap-1 px-3 py-2 rounded-lg bg-green-600 hover:bg-green-500 text-white"
+              >
+                <Download size={14} /> 导出图片
+              </button>
+            </div>
+
+            <div className="min-h-0 overflow-y-auto pr-1 flex flex-col gap-4">
+              {DIFF_SECTIONS.map(section => (
+                <section key={section.key} className="flex flex-col gap-2">
+                  <span className="font-bold" style={{ color: section.color }}>{section.label} ({diff[section.key].length})</span>
+                  {diff[section.key].length === 0 ? (
+                    <span className="text-xs text-gray-600">无</span>
+                  ) : (
+                    <div className="flex flex-wrap gap-2">
+                      {diff[section.key].map(entry => (
+                        <div key={entry.id} className="flex flex-col items-center gap-1 w-16" title={imageMeta[entry.id]?.name}>
+                          <LazyImage cache={imageCache} id={entry.id} edit={imageMeta[entry.id]?.edit} alt={imageMeta[entry.id]?.name || 'item'} className="w-14 h-14 rounded-md" />
+                          <span className="flex items-center gap-0.5 text-[10px] text-gray-500">
+                            <TierChip tier={entry.from} />→<TierChip tier={entry.to} />
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </section>
+              ))}
+              <p className="text-xs text-gray-500">位置未变的图片：{diff.unchanged} 张。评级行按位置（从上到下）比较。</p>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+import React, { useEffect, useState } from 'react';
+import { HardDrive, Search, ShieldCheck, Trash2, X } from 'lucide-react';
+import LazyImage from './LazyImage.jsx';
+import { findOrphanImages, formatBytes, getImageSizes, getStorageEstimate, isStoragePersisted, requestPersistentStorage } from '../utils/storage.js';
+
+// Only the largest images are listed; the totals always cover all of them
+const LARGEST_LIMIT = 100;
+
+const loadReport = async () => {
+  const [images, estimate, persisted] = await Promise.all([getImageSizes(), getStorageEstimate(), isStoragePersisted()]);
+  return { images: images.sort((a, b) => b.size - a.size), estimate, persisted };
+};
+
+export default function StorageModal({ projects, imageCache, liveImageIds, onDeleteImages, onClose }) {
+  const [report, setReport] = useState(null); // { images, estimate, persisted }
+  const [orphans, setOrphans] = useState(null); // null until scanned
+  const [busy, setBusy] = useState(false);
+  const [persistDenied, setPersistDenied] = useState(false);
+
+  useEffect(() => {
+    loadReport().then(setReport);
+  }, []);
+
+  const projectName = (projectId) => projects.find(p => p.id === projectId)?.name || '已删除的看板';
+
+  const scanOrphans = async () => {
+    setBusy(true);
+    try {
+      setOrphans(await findOrphanImages(report.images, projects.map(p => p.id), liveImageIds));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const cleanOrphans = async () => {
+    setBusy(true);
+    try {
+      await onDeleteImages(orphans.map(image => image.id));
+      setOrphans([]);
+      setReport(await loadReport());
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const requestPersist = async () => {
+    const granted = await requestPersistentStorage();
+    setPersistDenied(!granted);
+    setReport({ ...report, persisted: granted });
+  };
+
+  const totalSize = report ? report.images.reduce((sum, image) => sum + image.size, 0) : 0;
+  const orphanSize = orphans ? orphans.reduce((sum, image) => sum + image.size, 0) : 0;
+  const projectTotals = report
+    ? projects.map(p => ({ ...p, size: report.images.filter(image => image.projectId === p.id).reduce((sum, image) => sum + image.size, 0) }))
+    : [];
+
+  return (
+    <div className="fixed inset-0 z-[150] flex items-center justify-center bg-black/60 backdrop-blur-sm p-4 animate-in fade-in duration-200">
+      <div className="bg-gray-800 border border-gray-700 p-6 rounded-2xl shadow-2xl max-w-2xl w-full max-h-[95vh] flex flex-col">
+        <div className="flex items-center gap-3 mb-4">
+          <div className="bg-blue-500/10 p-2 rounded-full"><HardDrive className="text-blue-400" size={24} /></div>
+          <h3 className="text-xl font-bold text-white flex-1">存储空间</h3>
+          <button onClick={onClose} className="p-1 rounded-lg hover:bg-gray-700 text-gray-400"><X size={20} /></button>
+        </div>
+
+        {!report ? (
+          <p className="text-gray-500 text-center py-12">正在统计...</p>
+        ) : (
+          <div className="flex flex-col gap-5 text-sm min-h-0 overflow-y-auto pr-1">
+            <section className="flex flex-col gap-2">
+              {report.estimate ? (
+                <>
+                  <div className="flex justify-between text-gray-300">
+                    <span>浏览器存储已使用</span>
+                    <span>{formatBytes(report.estimate.usage)} / {formatBytes(report.estimate.quota)}</span>
+                  </div>
+                  <div className="h-2 bg-gray-900 rounded-full overflow-hidden">
+                    <div className="h-full bg-blue-500" style={{ width: `${Math.min(100, (report.estimate.usage / Math.max(report.estimate.quota, 1)) * 100)}%` }} />
+                  </div>
+                </>
+              ) : (
+                <p className="text-gray-500">此浏览器不提供存储配额信息</p>
+              )}
+              <div className="flex items-center gap-2 text-gray-300">
+                <ShieldCheck size={16} className={report.persisted ? 'text-green-500' : 'text-gray-500'} />
+                <span className="flex-1">{report.persisted ? '已开启持久存储，浏览器不会自动清除这些看板' : '未开启持久存储，空间不足时浏览器可能清除这些看板'}</span>
+                {!report.persisted && (
+                  <button onClick={requestPersist} className="px-3 py-1.5 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200 text-xs">申请持久存储</button>
+                )}
+              </div>
+              {persistDenied && <p className="text-xs text-yellow-400">浏览器拒绝了请求。通常需要先将本站加入书签或安装为应用，之后可以再试一次。</p>}
+            </section>
+
+            <section className="flex flex-col gap-2">
+              <div className="flex justify-between text-gray-300 font-medium">
+                <span>图片共 {report.images.length} 张</span>
+                <span>{formatBytes(totalSize)}</span>
+              </div>
+              {projectTotals.map(p => (
+                <div key={p.id} className="flex justify-between text-xs text-gray-400 pl-2">
+                  <span className="truncate">{p.name}</span>
+                  <span>{formatBytes(p.size)}</span>
+                </div>
+              ))}
+            </section>
+
+            <section className="flex flex-col gap-2">
+              <div className="flex items-center gap-2">
+                <span className="text-gray-300 flex-1">未使用的图片</span>
+                <button onClick={scanOrphans} disabled={busy} className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200 text-xs disabled:opacity-40"><Search size={12} /> 查找未使用的图片</button>
+              </div>
+              {orphans && (orphans.length === 0 ? (
+                <p className="text-xs text-gray-500">没有发现未被任何看板使用的图片</p>
+              ) : (
+                <div className="flex items-center gap-2 p-2 rounded-lg border border-yellow-600/50 bg-yellow-500/10">
+                  <span className="flex-1 text-xs text-yellow-300">找到 {orphans.length} 张未被任何看板（评级行、图片库、回收站或撤销历史）引用的图片，共 {formatBytes(orphanSize)}</span>
+                  <button onClick={cleanOrphans} disabled={busy} className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-red-600 hover:bg-red-500 text-white text-xs disabled:opacity-40"><Trash2 size={12} /> 全部删除</button>
+                </div>
+              ))}
+            </section>
+
+            <section className="flex flex-col gap-1">
+              <span className="text-gray-300 mb-1">{report.images.length > LARGEST_LIMIT ? `占用最大的 ${LARGEST_LIMIT} 张图片` : '每张图片占用'}</span>
+              {report.images.slice(0, LARGEST_LIMIT).map(image => (
+                <div key={image.id} className="flex items-center gap-3 p-1 rounded hover:bg-gray-900/50">
+                  <LazyImage cache={imageCache} id={image.id} alt={image.name} className="w-8 h-8 rounded flex-shrink-0" />
+                  <span className="flex-1 min-w-0">
+                    <span className="block truncate text-gray-200">{image.name || '未命名图片'}</span>
+                    <span className="block truncate text-xs text-gray-500">{projectName(image.projectId)}</span>
+                  </span>
+                  <span className="text-xs text-gray-400 text-right flex-shrink-0" title={`原图 ${formatBytes(image.fullSize)}，缩略图 ${formatBytes(image.thumbSize)}`}>{formatBytes(image.size)}</span>
+                </div>
+              ))}
+            </section>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
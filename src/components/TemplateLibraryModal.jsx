@@ -0,0 +1,96 @@
+import React, { useRef, useState } from 'react';
+import { Download, FilePlus2, LayoutTemplate, Palette, Save, Trash2, Upload, Wand2, X } from 'lucide-react';
+import { BUILTIN_TEMPLATES, COLOR_RAMPS, rampColor } from '../utils/tier-templates.js';
+import { tierColorStyle } from '../utils/tier-style.js';
+
+const TemplatePreview = ({ tiers }) => (
+  <div className="flex flex-wrap gap-1">
+    {tiers.map((tier, i) => (
+      <span key={i} className="min-w-[1.5rem] px-1.5 h-6 rounded text-xs font-bold flex items-center justify-center truncate max-w-[6rem]" style={tierColorStyle(tier)}>{tier.label}</span>
+    ))}
+  </div>
+);
+
+export default function TemplateLibraryModal({ templates, onSaveCurrent, onCreateBoard, onApply, onExport, onImport, onDelete, onApplyRamp, onClose }) {
+  const [newName, setNewName] = useState('');
+  const importRef = useRef(null);
+
+  const submitSave = () => {
+    if (!newName.trim()) return alert("请输入模板名称");
+    onSaveCurrent(newName.trim());
+    setNewName('');
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) onImport(file);
+  };
+
+  const renderTemplate = (template, isCustom) => (
+    <div key={template.id} className="flex flex-col gap-2 p-3 rounded-lg border border-gray-700 bg-gray-900/50">
+      <div className="flex items-center gap-2">
+        <span className="flex-1 text-gray-100 truncate">{template.name}</span>
+        <button onClick={() => onCreateBoard(template)} className="p-1.5 rounded bg-blue-600 hover:bg-blue-500 text-white" title="用此模板新建看板"><FilePlus2 size={14} /></button>
+        <button onClick={() => onApply(template)} className="p-1.5 rounded bg-gray-700 hover:bg-gray-600 text-gray-200" title="应用到当前看板"><Wand2 size={14} /></button>
+        <button onClick={() => onExport(template)} className="p-1.5 rounded bg-gray-700 hover:bg-gray-600 text-gray-200" title="导出为 JSON"><Download size={14} /></button>
+        {isCustom && <button onClick={() => onDelete(template.id)} className="p-1.5 rounded bg-gray-700 hover:bg-red-600 text-gray-200" title="删除模板"><Trash2 size={14} /></button>}
+      </div>
+      <TemplatePreview tiers={template.tiers} />
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 z-[150] flex items-center justify-center bg-black/60 backdrop-blur-sm p-4 animate-in fade-in duration-200">
+      <div className="bg-gray-800 border border-gray-700 p-6 rounded-2xl shadow-2xl max-w-2xl w-full max-h-[95vh] flex flex-col">
+        <div className="flex items-center gap-3 mb-4">
+          <div className="bg-blue-500/10 p-2 rounded-full"><LayoutTemplate className="text-blue-400" size={24} /></div>
+          <h3 className="text-xl font-bold text-white flex-1">评级模板</h3>
+          <button onClick={onClose} className="p-1 rounded-lg hover:bg-gray-700 text-gray-400"><X size={20} /></button>
+        </div>
+
+        <div className="flex flex-col gap-5 text-sm min-h-0 overflow-y-auto pr-1">
+          <section className="flex flex-col gap-2">
+            <span className="text-gray-400">预设</span>
+            {BUILTIN_TEMPLATES.map(template => renderTemplate(template, false))}
+          </section>
+
+          <section className="flex flex-col gap-2">
+            <div className="flex items-center gap-2">
+              <span className="text-gray-400 flex-1">我的模板</span>
+              <input ref={importRef} type="file" accept=".json,application/json" className="hidden" onChange={handleImport} />
+              <button onClick={() => importRef.current.click()} className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200 text-xs"><Upload size={12} /> 导入 JSON</button>
+            </div>
+            {templates.length === 0 && <p className="text-xs text-gray-500">还没有自定义模板</p>}
+            {templates.map(template => renderTemplate(template, true))}
+            <div className="flex gap-2">
+              <input
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                onKeyDown={(e) => { if (e.key === 'Enter') submitSave(); }}
+                placeholder="模板名称"
+                className="bg-gray-900 border border-gray-600 focus:border-blue-500 text-white px-3 py-2 rounded-lg flex-1 outline-none"
+              />
+              <button onClick={submitSave} className="flex items-center gap-1 px-4 py-2 rounded-lg bg-green-600 hover:bg-green-500 text-white"><Save size={14} /> 保存当前评级行</button>
+            </div>
+            <p className="text-xs text-gray-500">只保存评级行的标题、颜色和顺序，不包含图片。</p>
+          </section>
+
+          <section className="flex flex-col gap-2">
+            <span className="text-gray-400 flex items-center gap-1"><Palette size={14} /> 为当前评级行配色</span>
+            <div className="flex flex-wrap gap-2">
+              {COLOR_RAMPS.map(ramp => (
+                <button key={ramp.id} onClick={() => onApplyRamp(ramp)} className="flex flex-col gap-1 p-2 rounded-lg bg-gray-900/50 border border-gray-700 hover:border-gray-500">
+                  <span className="flex h-3 w-24 rounded overflow-hidden">
+                    {Array.from({ length: 6 }, (_, i) => <span key={i} className="flex-1" style={{ backgroundColor: rampColor(ramp, i, 6) }} />)}
+                  </span>
+                  <span className="text-xs text-gray-300">{ramp.name}</span>
+                </button>
+              ))}
+            </div>
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+}
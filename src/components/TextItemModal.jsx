@@ -0,0 +1,131 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FileText, Type, X } from 'lucide-react';
+import { DEFAULT_TEXT_TILE, TEXT_TILE_FONTS, drawTextTile, findTierByLabel, normalizeTextTile, parseItemList } from '../utils/text-items.js';
+
+const tabClass = (active) => `px-3 py-1.5 rounded-lg text-sm transition-colors ${active ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'}`;
+const inputClass = 'bg-gray-900 border border-gray-600 focus:border-blue-500 text-white px-3 py-2 rounded-lg outline-none';
+
+// Creates text items one at a time or from a pasted list / CSV file, or edits the
+// text and style of an existing one (`tile` given). Entries are { name, tier, imageUrl }.
+export default function TextItemModal({ tiers, tile, onCreate, onSave, onClose }) {
+  const isEdit = Boolean(tile);
+  const [view, setView] = useState('single'); // 'single' | 'bulk'
+  const [text, setText] = useState(tile?.text || '');
+  const [list, setList] = useState('');
+  const [format, setFormat] = useState('lines'); // 'lines' | 'csv'
+  const [style, setStyle] = useState({
+    background: tile?.background || DEFAULT_TEXT_TILE.background,
+    color: tile?.color || DEFAULT_TEXT_TILE.color,
+    font: tile?.font || DEFAULT_TEXT_TILE.font,
+  });
+  const canvasRef = useRef(null);
+  const csvInputRef = useRef(null);
+
+  const entries = view === 'bulk' ? parseItemList(list, format) : [];
+  const placedCount = entries.filter(entry => findTierByLabel(tiers, entry.tier)).length;
+  const unmatchedCount = entries.filter(entry => entry.tier && !findTierByLabel(tiers, entry.tier)).length;
+  const urlCount = entries.filter(entry => entry.imageUrl).length;
+  const previewText = view === 'bulk' ? entries[0]?.name || '' : text;
+
+  useEffect(() => {
+    drawTextTile(canvasRef.current, { ...style, text: previewText.trim() });
+  }, [style, previewText]);
+
+  const readCsvFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setList(await file.text());
+    setFormat('csv');
+  };
+
+  const submit = () => {
+    if (isEdit) onSave(normalizeTextTile({ ...style, text }));
+    else onCreate(view === 'bulk' ? entries : [{ name: text.trim(), tier: '', imageUrl: '' }], style);
+  };
+  const canSubmit = view === 'bulk' ? entries.length > 0 : Boolean(text.trim());
+
+  return (
+    <div className="fixed inset-0 z-[150] flex items-center justify-center bg-black/60 backdrop-blur-sm p-4 animate-in fade-in duration-200">
+      <div className="bg-gray-800 border border-gray-700 p-6 rounded-2xl shadow-2xl max-w-2xl w-full max-h-[95vh] flex flex-col">
+        <div className="flex items-center gap-3 mb-4">
+          <div className="bg-blue-500/10 p-2 rounded-full"><Type className="text-blue-400" size={24} /></div>
+          <h3 className="text-xl font-bold text-white flex-1">{isEdit ? '编辑文字图块' : '添加文字项目'}</h3>
+          <button onClick={onClose} className="p-1 rounded-lg hover:bg-gray-700 text-gray-400"><X size={20} /></button>
+        </div>
+
+        {!isEdit && (
+          <div className="flex gap-2 mb-4">
+            <button onClick={() => setView('single')} className={tabClass(view === 'single')}>单个</button>
+            <button onClick={() => setView('bulk')} className={tabClass(view === 'bulk')}>批量</button>
+          </div>
+        )}
+
+        <div className="flex flex-col sm:flex-row gap-4 mb-4 text-sm min-h-0 overflow-y-auto">
+          <div className="flex flex-col gap-3 flex-shrink-0 sm:w-40">
+            <canvas ref={canvasRef} className="w-full sm:w-40 aspect-square rounded-lg" />
+            <label className="flex items-center justify-between gap-2">
+              <span className="text-gray-400">背景</span>
+              <input type="color" value={style.background} onChange={(e) => setStyle({ ...style, background: e.target.value })} className="w-10 h-8 bg-transparent cursor-pointer" />
+            </label>
+            <label className="flex items-center justify-between gap-2">
+              <span className="text-gray-400">文字</span>
+              <input type="color" value={style.color} onChange={(e) => setStyle({ ...style, color: e.target.value })} className="w-10 h-8 bg-transparent cursor-pointer" />
+            </label>
+            <select value={style.font} onChange={(e) => setStyle({ ...style, font: e.target.value })} className={inputClass}>
+              {Object.entries(TEXT_TILE_FONTS).map(([id, font]) => <option key={id} value={id}>{font.label}</option>)}
+            </select>
+          </div>
+
+          {view === 'single' && (
+            <label className="flex flex-col gap-1 flex-1">
+              <span className="text-gray-400">文字（可换行，字号自动适应）</span>
+              <textarea value={text} onChange={(e) => setText(e.target.value)} rows={6} autoFocus className={`${inputClass} resize-y`} />
+            </label>
+          )}
+
+          {view === 'bulk' && (
+            <div className="flex flex-col gap-2 flex-1 min-w-0">
+              <div className="flex flex-wrap items-center gap-3">
+                <label className="flex items-center gap-1 text-gray-300">
+                  <input type="radio" checked={format === 'lines'} onChange={() => setFormat('lines')} /> 每行一个名称
+                </label>
+                <label className="flex items-center gap-1 text-gray-300">
+                  <input type="radio" checked={format === 'csv'} onChange={() => setFormat('csv')} /> CSV
+                </label>
+                <div className="flex-1" />
+                <input ref={csvInputRef} type="file" accept=".csv,.tsv,.txt,text/csv,text/plain" className="hidden" onChange={readCsvFile} />
+                <button onClick={() => csvInputRef.current.click()} className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200"><FileText size={14} /> 读取文件</button>
+              </div>
+              <textarea
+                value={list}
+                onChange={(e) => setList(e.target.value)}
+                rows={10}
+                placeholder={format === 'csv' ? 'name,tier,imageUrl\n示例,S,\n另一个,A,https://…' : '每行一个名称'}
+                className={`${inputClass} resize-y font-mono text-xs`}
+              />
+              <p className="text-xs text-gray-500">
+                {format === 'csv'
+                  ? 'CSV 列依次为名称、评级、图片链接（后两列可省略，首行可以是表头）。评级与评级行名称相同（不区分大小写）时直接放入该行，否则放入图片库；有图片链接时下载图片代替文字图块。'
+                  : '每行一个名称，全部放入图片库。'}
+              </p>
+              {entries.length > 0 && (
+                <p className="text-xs text-gray-300">
+                  共 {entries.length} 项{placedCount > 0 && `，${placedCount} 项放入评级行`}{urlCount > 0 && `，${urlCount} 项带图片链接`}
+                  {unmatchedCount > 0 && <span className="text-yellow-400">，{unmatchedCount} 项的评级没有对应的评级行</span>}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <button onClick={onClose} className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200">取消</button>
+          <button onClick={submit} disabled={!canSubmit} className="px-4 py-2 rounded-lg text-white bg-blue-600 hover:bg-blue-500 disabled:opacity-40">
+            {isEdit ? '保存' : view === 'bulk' ? `添加 ${entries.length} 项` : '添加'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+import React from 'react';
+import { DEFAULT_LABEL_FONT_SIZE, getTierTextColor, isImageIcon } from '../utils/tier-style.js';
+
+// Contents of a tier's label cell: optional icon above the label text.
+// Mirrors drawLabel in render-board.js, so the export matches the board.
+export default function TierLabel({ tier }) {
+  const fontSize = tier.fontSize || DEFAULT_LABEL_FONT_SIZE;
+  const iconSize = Math.round(fontSize * 1.6);
+  const color = getTierTextColor(tier);
+
+  return (
+    <div className="flex flex-col items-center justify-center gap-1 w-full select-none">
+      {tier.icon && (isImageIcon(tier.icon)
+        ? <img src={tier.icon} alt="" draggable={false} className="object-contain" style={{ width: iconSize, height: iconSize }} />
+        : <span className="leading-none" style={{ fontSize: Math.round(iconSize * 0.8), color }}>{tier.icon}</span>
+      )}
+      {tier.label && (
+        <span
+          className="font-black drop-shadow-sm break-words w-full px-1"
+          style={{ color, fontSize }}
+        >
+          {tier.label}
+        </span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useRef } from 'react';
+import { ImagePlus, Paintbrush, X } from 'lucide-react';
+import TierLabel from './TierLabel.jsx';
+import { DEFAULT_ROW_HEIGHT, LABEL_FONT_SIZES, ROW_HEIGHT_RANGE, isDarkColor, isImageIcon } from '../utils/tier-style.js';
+import { createIconDataUrl } from '../utils/image-pipeline.js';
+
+const inputClass = 'bg-gray-900 border border-gray-600 focus:border-blue-500 text-white px-3 py-2 rounded-lg outline-none';
+
+// Every change is applied to the board right away (and is undoable), so there is no save button.
+// `onChange(field, value)`; undefined clears a field back to its default.
+export default function TierStyleModal({ tier, onChange, onClose }) {
+  const iconInputRef = useRef(null);
+
+  const handleIconFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onChange('icon', await createIconDataUrl(file));
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  // Leaving auto mode starts from the color auto mode was showing
+  const toggleAutoText = (auto) => {
+    onChange('textColor', auto ? undefined : (isDarkColor(tier.color) ? '#ffffff' : '#000000'));
+  };
+
+  return (
+    <div className="fixed inset-0 z-[150] flex items-center justify-center bg-black/60 backdrop-blur-sm p-4 animate-in fade-in duration-200">
+      <div className="bg-gray-800 border border-gray-700 p-6 rounded-2xl shadow-2xl max-w-md w-full">
+        <div className="flex items-center gap-3 mb-4">
+          <div className="bg-blue-500/10 p-2 rounded-full"><Paintbrush className="text-blue-400" size={24} /></div>
+          <h3 className="text-xl font-bold text-white flex-1">评级行样式</h3>
+          <button onClick={onClose} className="p-1 rounded-lg hover:bg-gray-700 text-gray-400"><X size={20} /></button>
+        </div>
+
+        <div className="w-32 mx-auto mb-6 rounded-lg flex items-center justify-center p-2" style={{ backgroundColor: tier.color, minHeight: tier.minHeight || DEFAULT_ROW_HEIGHT }}>
+          <TierLabel tier={tier} />
+        </div>
+
+        <div className="flex flex-col gap-4 text-sm">
+          <div className="flex items-center justify-between gap-3">
+            <span className="text-gray-400">文字颜色</span>
+            <div className="flex items-center gap-3">
+              <label className="flex items-center gap-2 text-gray-300">
+                <input type="checkbox" checked={!tier.textColor} onChange={(e) => toggleAutoText(e.target.checked)} />
+                自动对比
+              </label>
+              {tier.textColor && (
+                <input type="color" value={tier.textColor} onChange={(e) => onChange('textColor', e.target.value)} className="w-10 h-8 cursor-pointer rounded overflow-hidden border-0 p-0" />
+              )}
+            </div>
+          </div>
+
+          <div className="flex flex-col gap-2">
+            <span className="text-gray-400">图标（表情符号或图片）</span>
+            <div className="flex items-center gap-2">
+              <input
+                value={isImageIcon(tier.icon) ? '' : tier.icon || ''}
+                onChange={(e) => onChange('icon', e.target.value || undefined)}
+                placeholder={isImageIcon(tier.icon) ? '已使用图片' : '例如 🔥'}
+                className={`${inputClass} flex-1 min-w-0`}
+              />
+              <input ref={iconInputRef} type="file" accept="image/*" className="hidden" onChange={handleIconFile} />
+              <button onClick={() => iconInputRef.current.click()} className="flex items-center gap-1 px-3 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200"><ImagePlus size={14} /> 图片</button>
+              {tier.icon && <button onClick={() => onChange('icon', undefined)} className="px-3 py-2 rounded-lg bg-gray-700 hover:bg-red-600 text-gray-200">移除</button>}
+            </div>
+          </div>
+
+          <label className="flex items-center justify-between">
+            <span className="text-gray-400">标题字号</span>
+            <select
+              value={tier.fontSize || ''}
+              onChange={(e) => onChange('fontSize', e.target.value ? Number(e.target.value) : undefined)}
+              className={inputClass}
+            >
+              <option value="">默认</option>
+              {LABEL_FONT_SIZES.map(size => <option key={size} value={size}>{size}px</option>)}
+            </select>
+          </label>
+
+          <label className="flex flex-col gap-2">
+            <span className="text-gray-400 flex justify-between">
+              <span>最小行高</span>
+              <span>{tier.minHeight || DEFAULT_ROW_HEIGHT}px{tier.minHeight ? '' : '（默认）'}</span>
+            </span>
+            <input
+              type="range"
+              min={ROW_HEIGHT_RANGE.min}
+              max={ROW_HEIGHT_RANGE.max}
+              step={ROW_HEIGHT_RANGE.step}
+              value={tier.minHeight || DEFAULT_ROW_HEIGHT}
+              onChange={(e) => onChange('minHeight', Number(e.target.value) === DEFAULT_ROW_HEIGHT ? undefined : Number(e.target.value))}
+            />
+          </label>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+import React from 'react';
+import { CheckCircle2, Copy, Loader2, X, XCircle } from 'lucide-react';
+
+const STATUS_ICONS = {
+  pending: <Loader2 size={14} className="text-blue-400 animate-spin flex-shrink-0" />,
+  done: <CheckCircle2 size={14} className="text-green-500 flex-shrink-0" />,
+  duplicate: <Copy size={14} className="text-yellow-500 flex-shrink-0" />,
+  error: <XCircle size={14} className="text-red-500 flex-shrink-0" />,
+};
+
+export default function UploadProgressPanel({ items, finished, onClose }) {
+  const processed = items.filter(item => item.status !== 'pending').length;
+  const problems = items.filter(item => item.status === 'duplicate' || item.status === 'error');
+  const added = items.filter(item => item.status === 'done').length;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-[120] w-80 max-w-[calc(100vw-2rem)] bg-gray-800 border border-gray-700 rounded-xl shadow-2xl p-4 text-sm animate-in fade-in duration-200">
+      <div className="flex items-center gap-2 mb-2">
+        <span className="font-bold text-white flex-1">
+          {finished ? `上传完成：新增 ${added} 张` : `正在上传 ${processed} / ${items.length}`}
+        </span>
+        {finished && <button onClick={onClose} className="p-1 rounded-lg hover:bg-gray-700 text-gray-400"><X size={16} /></button>}
+      </div>
+      <div className="h-1.5 bg-gray-900 rounded-full overflow-hidden mb-3">
+        <div className="h-full bg-blue-500 transition-all" style={{ width: `${(processed / items.length) * 100}%` }} />
+      </div>
+      <ul className="flex flex-col gap-1 max-h-48 overflow-y-auto">
+        {(finished ? problems : items).map((item, index) => (
+          <li key={index} className="flex items-start gap-2">
+            <span className="mt-0.5">{STATUS_ICONS[item.status]}</span>
+            <span className="flex-1 min-w-0">
+              <span className="block truncate text-gray-300">{item.name}</span>
+              {item.message && <span className={`block text-xs ${item.status === 'error' ? 'text-red-400' : 'text-yellow-400'}`}>{item.message}</span>}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
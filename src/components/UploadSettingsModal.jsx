@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { Settings } from 'lucide-react';
+import { MAX_DIMENSION_RANGE, UPLOAD_FORMATS, clampMaxDimension } from '../utils/image-pipeline.js';
+
+const inputClass = 'bg-gray-900 border border-gray-600 focus:border-blue-500 text-white px-3 py-2 rounded-lg outline-none';
+
+export default function UploadSettingsModal({ settings, onChange, onClose }) {
+  const update = (field, value) => onChange({ ...settings, [field]: value });
+  // Typed freely, saved clamped once the field is left, so a half-typed or emptied value never sticks
+  const [maxDimensionDraft, setMaxDimensionDraft] = useState(String(settings.maxDimension));
+  const commitMaxDimension = () => {
+    const value = maxDimensionDraft.trim() === '' ? settings.maxDimension : clampMaxDimension(Number(maxDimensionDraft));
+    setMaxDimensionDraft(String(value));
+    if (value !== settings.maxDimension) update('maxDimension', value);
+  };
+
+  return (
+    <div className="fixed inset-0 z-[150] flex items-center justify-center bg-black/60 backdrop-blur-sm p-4 animate-in fade-in duration-200">
+      <div className="bg-gray-800 border border-gray-700 p-6 rounded-2xl shadow-2xl max-w-sm w-full">
+        <div className="flex items-center gap-3 mb-4">
+          <div className="bg-blue-500/10 p-2 rounded-full"><Settings className="text-blue-400" size={24} /></div>
+          <h3 className="text-xl font-bold text-white">上传设置</h3>
+        </div>
+
+        <div className="flex flex-col gap-4 text-sm mb-6">
+          <label className="flex items-center gap-2 text-gray-300">
+            <input type="checkbox" checked={settings.resize} onChange={(e) => update('resize', e.target.checked)} />
+            缩小过大的图片
+          </label>
+          <label className="flex flex-col gap-2">
+            <span className={settings.resize ? 'text-gray-400' : 'text-gray-600'}>最长边 (px)</span>
+            <input
+              type="number"
+              min={MAX_DIMENSION_RANGE.min}
+              max={MAX_DIMENSION_RANGE.max}
+              step="128"
+              value={maxDimensionDraft}
+              disabled={!settings.resize}
+              onChange={(e) => setMaxDimensionDraft(e.target.value)}
+              onBlur={commitMaxDimension}
+              onKeyDown={(e) => { if (e.key === 'Enter') commitMaxDimension(); }}
+              className={`${inputClass} disabled:opacity-40`}
+            />
+            <span className="text-xs text-gray-500">{MAX_DIMENSION_RANGE.min}–{MAX_DIMENSION_RANGE.max}</span>
+          </label>
+
+          <label className="flex flex-col gap-2">
+            <span className="text-gray-400">保存格式</span>
+            <select value={settings.format} onChange={(e) => update('format', e.target.value)} className={inputClass}>
+              {Object.entries(UPLOAD_FORMATS).map(([key, format]) => <option key={key} value={key}>{format.label}</option>)}
+            </select>
+          </label>
+          {settings.format !== 'original' && (
+            <label className="flex flex-col gap-2">
+              <span className="text-gray-400">质量 {Math.round(settings.quality * 100)}%</span>
+              <input type="range" min="0.5" max="1" step="0.01" value={settings.quality} onChange={(e) => update('quality', Number(e.target.value))} />
+            </label>
+          )}
+
+          <p className="text-xs text-gray-500 leading-relaxed">GIF 和 SVG 始终按原样保存。重复的图片（内容完全相同）会被自动跳过。设置只影响之后上传的图片。</p>
+        </div>
+
+        <div className="flex justify-end">
+          <button onClick={onClose} className="px-4 py-2 rounded-lg text-white bg-blue-600 hover:bg-blue-500">完成</button>
+        </div>
+      </div>
+    </div>
+  );
+}
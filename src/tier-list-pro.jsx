@@ -1,127 +1,285 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Upload, Plus, Download, GripVertical, Settings, Image as ImageIcon, FileJson, FolderOpen, RotateCcw, X, AlertTriangle, Trash2, Save, FileSignature, Eraser } from 'lucide-react';
-
-// --- IndexedDB Utility ---
-const DB_NAME = 'TierListDB_v15'; // Version bumped
-const DB_VERSION = 1;
-const STORE_CONFIG = 'config';
-const STORE_IMAGES = 'images';
-
-const initDB = () => {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
-    request.onerror = (event) => reject(event.target.error);
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      if (!db.objectStoreNames.contains(STORE_CONFIG)) {
-        db.createObjectStore(STORE_CONFIG, { keyPath: 'id' });
-      }
-      if (!db.objectStoreNames.contains(STORE_IMAGES)) {
-        db.createObjectStore(STORE_IMAGES, { keyPath: 'id' });
-      }
-    };
-    request.onsuccess = (event) => resolve(event.target.result);
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
+import { Upload, Plus, Download, GripVertical, Settings, Image as ImageIcon, FileJson, FolderOpen, RotateCcw, X, AlertTriangle, Trash2, Save, FileSignature, Eraser, Library, Undo2, Redo2, HardDrive, LayoutTemplate, Paintbrush, ChevronDown, ChevronRight, EyeOff, Share2, Users, Swords, History, Type } from 'lucide-react';
+import { STORE_CONFIG, STORE_IMAGES, DEFAULT_PROJECT_ID, initDB, dbOperate, projectKey, createId, pickImageMeta, updateImageMeta, getProjectImages, getProjectImageIds, deleteImages, deleteProjectConfig, deleteProjectData, copyProjectData } from './utils/db.js';
+import ProjectLibraryModal from './components/ProjectLibraryModal.jsx';
+import RecycleBinModal from './components/RecycleBinModal.jsx';
+import ImportReviewModal from './components/ImportReviewModal.jsx';
+import ImageExportModal from './components/ImageExportModal.jsx';
+import ItemDetailModal from './components/ItemDetailModal.jsx';
+import ImageEditorModal from './components/ImageEditorModal.jsx';
+import FilterBar from './components/FilterBar.jsx';
+import SelectionBar from './components/SelectionBar.jsx';
+import ItemList from './components/ItemList.jsx';
+import LazyImage from './components/LazyImage.jsx';
+import { ARCHIVE_EXTENSION, buildArchive, readSaveFile } from './utils/save-file.js';
+import { DEFAULT_RENDER_OPTIONS, EXPORT_FORMATS, renderBoard, renderBoardDiff, canvasToBlob } from './utils/render-board.js';
+import { migrateState, validateState, repairState } from './utils/save-schema.js';
+import { needsRendition } from './utils/image-edit.js';
+import { DEFAULT_UPLOAD_SETTINGS, normalizeUploadSettings, hashBlob, processImage, createThumbnail, createIconDataUrl } from './utils/image-pipeline.js';
+import { readClipboardImages, readDroppedImageUrls, describeImageUrl, fetchImageFile } from './utils/external-images.js';
+import { EDITED_VARIANTS, createImageCache } from './utils/image-cache.js';
+import { EMPTY_FILTER, isFilterActive, matchesFilter } from './utils/item-filter.js';
+import UploadSettingsModal from './components/UploadSettingsModal.jsx';
+import UploadProgressPanel from './components/UploadProgressPanel.jsx';
+import StorageModal from './components/StorageModal.jsx';
+import TemplateLibraryModal from './components/TemplateLibraryModal.jsx';
+import TierStyleModal from './components/TierStyleModal.jsx';
+import TierLabel from './components/TierLabel.jsx';
+import ShareLinkModal from './components/ShareLinkModal.jsx';
+import SharedBoardView from './components/SharedBoardView.jsx';
+import GroupRankingModal from './components/GroupRankingModal.jsx';
+import PairwiseRankingModal from './components/PairwiseRankingModal.jsx';
+import SnapshotModal from './components/SnapshotModal.jsx';
+import TextItemModal from './components/TextItemModal.jsx';
+import { pruneSession } from './utils/pairwise-ranking.js';
+import { addSnapshot, createSnapshot, isSameArrangement, snapshotImageIds } from './utils/snapshots.js';
+import { findTierByLabel, normalizeTextTile, renderTextTile, textTileName } from './utils/text-items.js';
+import { SHARE_THUMB_SIZE, createShareLink, isShareHash, readShareHash, sharedBoardToSaveFile } from './utils/share-link.js';
+import { BOARD_THEMES, DEFAULT_BOARD_THEME, DEFAULT_ROW_HEIGHT, resolveBoardTheme } from './utils/tier-style.js';
+import { BUILTIN_TEMPLATES, DEFAULT_TEMPLATE_ID, TEMPLATE_EXTENSION, findTemplate, templateToTiers, tiersToTemplate, rampColor, serializeTemplate, parseTemplateFile } from './utils/tier-templates.js';
+
+// --- Helper: Undo History ---
+const HISTORY_LIMIT = 100;
+const boardImageIds = (board) => [...board.sidebarImageIds, ...board.tiers.flatMap(t => t.imageIds), ...board.bin.map(entry => entry.id)];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- Helper: Touch & Keyboard Drag ---
+const LONG_PRESS_MS = 300;
+const LONG_PRESS_TOLERANCE = 8; // px the finger may wander before the press counts as a scroll
+const AUTO_SCROLL_EDGE = 60;
+const AUTO_SCROLL_STEP = 15;
+
+const getInsertionIndex = (rect, clientX, index) => (clientX < rect.left + rect.width / 2 ? index : index + 1);
+// Tier rows stack vertically, so they split at the vertical midpoint instead
+const getRowInsertionIndex = (rect, clientY, index) => (clientY < rect.top + rect.height / 2 ? index : index + 1);
+
+// --- Helper: Large Boards ---
+// Past this many images the pool only mounts the rows near the viewport
+const POOL_VIRTUALIZE_THRESHOLD = 120;
+
+// Handlers ItemList receives; it is memoized, so they are passed as stable proxies
+const ITEM_ACTIONS = ['onDragStart', 'onDragOverItem', 'onPointerDown', 'onPointerMove', 'onPointerEnd', 'onContextMenu', 'onKeyDown', 'onClick', 'onOpen'];
+
+// --- Helper: Merge Import ---
+// Tiers are matched by label (case-insensitive); unmatched ones are appended.
+// placement 'imported' keeps the imported tier placements, 'pool' sends everything to the pool.
+const normalizeLabel = (label) => label.trim().toLowerCase();
+
+const mergeBoard = (board, imported, placement) => {
+  const tiers = board.tiers.map(t => ({ ...t, imageIds: [...t.imageIds] }));
+  const sidebarImageIds = [...board.sidebarImageIds, ...imported.sidebarImageIds];
+
+  imported.tiers.forEach(importedTier => {
+    const ids = placement === 'imported' ? importedTier.imageIds : [];
+    if (placement === 'pool') sidebarImageIds.push(...importedTier.imageIds);
+
+    const match = tiers.find(t => normalizeLabel(t.label) === normalizeLabel(importedTier.label));
+    if (match) {
+      match.imageIds.push(...ids);
+    } else {
+      const id = tiers.some(t => t.id === importedTier.id) ? createId('tier') : importedTier.id;
+      tiers.push({ ...importedTier, id, imageIds: ids });
+    }
   });
-};
 
-const dbOperate = async (storeName, mode, callback) => {
-  const db = await initDB();
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction([storeName], mode);
-    const store = transaction.objectStore(storeName);
-    const request = callback(store);
-    
-    transaction.oncomplete = () => resolve(request?.result);
-    transaction.onerror = (event) => reject(event.target.error);
-  });
+  return { tiers, sidebarImageIds };
 };
 
-// --- Helper: Blob <-> Base64 ---
-const blobToBase64 = (blob) => {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onloadend = () => resolve(reader.result);
-    reader.onerror = reject;
-    reader.readAsDataURL(blob);
-  });
-};
+// --- Default Config ---
+// Boards without saved tiers start from the default template. Its tiers keep fixed
+// ids (tier-s, tier-a, ...) so records keyed by tier id match across reloads.
+const defaultTiers = templateToTiers(BUILTIN_TEMPLATES.find(t => t.id === DEFAULT_TEMPLATE_ID))
+  .map(tier => ({ ...tier, id: `tier-${tier.label.toLowerCase()}` }));
 
-const base64ToBlob = async (base64Data) => {
-  const res = await fetch(base64Data);
-  return await res.blob();
-};
+// Object URLs of the open board's images, shared for the app's lifetime; loadData clears it on every board load
+const imageCache = createImageCache();
 
 // --- Component ---
 
 export default function TierListMaker() {
-  // Default Config
-  const defaultTiers = [
-    { id: 'tier-s', label: 'S', color: '#ff7f7f', imageIds: [] },
-    { id: 'tier-a', label: 'A', color: '#ffbf7f', imageIds: [] },
-    { id: 'tier-b', label: 'B', color: '#ffdf7f', imageIds: [] },
-    { id: 'tier-c', label: 'C', color: '#ffff7f', imageIds: [] },
-    { id: 'tier-d', label: 'D', color: '#bfff7f', imageIds: [] },
-  ];
-
   const [tiers, setTiers] = useState(defaultTiers);
   const [sidebarImageIds, setSidebarImageIds] = useState([]);
-  const [imagesMap, setImagesMap] = useState({});
+  const [bin, setBin] = useState([]); // Recycle bin: [{ id, tierId, index, trashedAt }]
+  const [binAutoPurgeDays, setBinAutoPurgeDays] = useState(0); // 0 = keep forever
+  const [showBin, setShowBin] = useState(false);
+  // Every stored image of the board has an entry here; blobs are only read on demand through imageCache
+  const [imageMeta, setImageMeta] = useState({}); // { [id]: { name, caption, notes, tags, edit, textTile } }
+  // content hash -> image id, for duplicate detection on upload
+  const hashIndexRef = useRef(new Map());
+  const [filter, setFilter] = useState(EMPTY_FILTER); // { query, tag, status: 'all' | 'placed' | 'unplaced' }
+  const [detailImageId, setDetailImageId] = useState(null);
+  const [editImageId, setEditImageId] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [isProcessing, setIsProcessing] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
-  
+
+  // Project Library (multiple boards)
+  const [projects, setProjects] = useState([]); // [{ id, name, createdAt }]
+  const [activeProjectId, setActiveProjectId] = useState(null);
+  const [showProjects, setShowProjects] = useState(false);
+  const [showStorage, setShowStorage] = useState(false);
+
+  // Custom tier templates ({ id, name, tiers: [{ label, color }] }), shared by all boards
+  const [templates, setTemplates] = useState([]);
+  const [showTemplates, setShowTemplates] = useState(false);
+
+  // Per-tier styling happens in a modal; the board theme is global ({ mode, background })
+  const [styleTierId, setStyleTierId] = useState(null);
+  const [boardTheme, setBoardTheme] = useState(DEFAULT_BOARD_THEME);
+
+  // Share links: the generated link ({ url, itemCount, withThumbnails }), and the
+  // board opened from a #share= link, shown read-only instead of the local board
+  const [shareLink, setShareLink] = useState(null);
+  const [sharedView, setSharedView] = useState(null);
+  const [showGroupRanking, setShowGroupRanking] = useState(false);
+
+  // Head-to-head session of the active board (see pairwise-ranking.js), stored under <pid>:pairwise
+  const [showPairwise, setShowPairwise] = useState(false);
+  const [pairwiseSession, setPairwiseSession] = useState(null);
+
+  // Named versions of the active board (see snapshots.js), stored under <pid>:snapshots.
+  // The auto-snapshot interval (minutes, 0 = off) is global.
+  const [snapshots, setSnapshots] = useState([]);
+  const [showSnapshots, setShowSnapshots] = useState(false);
+  const [snapshotInterval, setSnapshotInterval] = useState(0);
+  // When and with what arrangement the board was opened; auto-snapshots count from here when none is newer
+  const boardLoadedRef = useRef({ at: 0, board: null });
+
+  // Text items: { editId } while the modal is open, editId = null when creating
+  const [textItemModal, setTextItemModal] = useState(null);
+
+  // Undo/Redo: snapshots of { tiers, sidebarImageIds, bin, mergeKey }
+  const [history, setHistory] = useState({ past: [], future: [] });
+  // Images that left the board but may still come back through undo/redo
+  const pendingPurgeRef = useRef([]);
+
   // State for Confirmation Modal (Reset/Import)
   const [confirmModal, setConfirmModal] = useState({
     isOpen: false, title: '', message: '', onConfirm: null, confirmText: '确定', confirmColor: 'bg-blue-600'
   });
 
+  // State for Import Review Modal: { fileName, saveFile, state, errors, issues }
+  const [importReview, setImportReview] = useState(null);
+
+  // Image export options (format, scale, layout, ...; see DEFAULT_RENDER_OPTIONS), remembered across sessions
+  const [exportSettings, setExportSettings] = useState(DEFAULT_RENDER_OPTIONS);
+  const [showImageExport, setShowImageExport] = useState(false);
+  const [exportSources, setExportSources] = useState({}); // { [id]: objectURL } loaded when the export opens
+
+  // Upload pipeline options (see DEFAULT_UPLOAD_SETTINGS), remembered across sessions
+  const [uploadSettings, setUploadSettings] = useState(DEFAULT_UPLOAD_SETTINGS);
+  const [showUploadSettings, setShowUploadSettings] = useState(false);
+  // { items: [{ name, status: 'pending' | 'done' | 'duplicate' | 'error', message }], finished }
+  const [uploadProgress, setUploadProgress] = useState(null);
+
   // State for Save File Modal (Export/Save Image)
   const [saveModal, setSaveModal] = useState({
     isOpen: false,
     fileName: '',
-    fileExtension: '', // .json or .png
+    fileExtension: '', // .zip or .png/.jpg/.webp
     fileBlob: null,
     title: ''
   });
 
   // --- DRAG STATE ---
   const [activeDragId, setActiveDragId] = useState(null);
-  const [dragSource, setDragSource] = useState(null); // { tierId }
+  const [draggedIds, setDraggedIds] = useState([]); // everything the drag carries, activeDragId included
   const [dropTarget, setDropTarget] = useState(null); // { tierId, index }
+  // null for native (mouse) drags; 'pointer' for touch/pen, 'keyboard' for Space + arrows
+  const [dragMode, setDragMode] = useState(null);
+  const [announcement, setAnnouncement] = useState(''); // read out by the ARIA live region
 
   const dragItemRef = useRef(null); 
+  const pointerPressRef = useRef(null); // { timer, x, y } while a long-press is pending
+  const touchTargetRef = useRef(null); // element the touch started on; touch events stay bound to it
+  const dragPreviewRef = useRef(null); // floating image that follows the finger
+  const pointerPosRef = useRef({ x: 0, y: 0 });
+  const focusItemRef = useRef(null); // item to re-focus once a keyboard drag ends
+
+  // Folded rows are view state: stored per board under <pid>:collapsed, outside the undo history and exports
+  const [collapsedTierIds, setCollapsedTierIds] = useState([]);
+
+  // Tier reordering: { id, index, mode }, index counting the other tiers (like dropTarget)
+  const [tierDrag, setTierDrag] = useState(null);
+  const dragTierRef = useRef(null); // id of the tier a native drag carries
+
+  // --- SELECTION STATE ---
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [marquee, setMarquee] = useState(null); // { x1, y1, x2, y2, active } in client coordinates
+  const selectionAnchorRef = useRef(null); // last plain/Ctrl-clicked item, for Shift ranges
+  const marqueeBaseRef = useRef(null); // { additive, baseIds } while the mouse is down
   const fileInputRef = useRef(null);
   const importInputRef = useRef(null);
-  const exportRef = useRef(null);
 
-  // --- HTML2Canvas Loader ---
+  // --- Export, Upload Settings, Templates, Theme & Snapshot Interval Loader ---
   useEffect(() => {
-    if (!window.html2canvas) {
-      const script = document.createElement('script');
-      script.src = 'https://cdnjs.cloudflare.com/ajax/libs/html2canvas/1.4.1/html2canvas.min.js';
-      script.async = true;
-      document.body.appendChild(script);
-    }
+    dbOperate(STORE_CONFIG, 'readonly', (store) => store.get('exportSettings')).then(saved => {
+      if (saved) setExportSettings({ ...DEFAULT_RENDER_OPTIONS, ...saved.data });
+    });
+    dbOperate(STORE_CONFIG, 'readonly', (store) => store.get('uploadSettings')).then(saved => {
+      if (saved) setUploadSettings(normalizeUploadSettings(saved.data));
+    });
+    dbOperate(STORE_CONFIG, 'readonly', (store) => store.get('templates')).then(saved => {
+      if (saved) setTemplates(saved.data);
+    });
+    dbOperate(STORE_CONFIG, 'readonly', (store) => store.get('boardTheme')).then(saved => {
+      if (saved) setBoardTheme({ ...DEFAULT_BOARD_THEME, ...saved.data });
+    });
+    dbOperate(STORE_CONFIG, 'readonly', (store) => store.get('snapshotInterval')).then(saved => {
+      if (saved) setSnapshotInterval(saved.data);
+    });
   }, []);
 
   // --- Init Data ---
-  const loadData = async () => {
+  const loadData = async (projectId) => {
     setIsLoading(true);
     try {
-      const savedTiers = await dbOperate(STORE_CONFIG, 'readonly', (store) => store.get('tiers'));
-      const savedSidebar = await dbOperate(STORE_CONFIG, 'readonly', (store) => store.get('sidebar'));
-      
-      if (savedTiers) setTiers(savedTiers.data);
-      if (savedSidebar) setSidebarImageIds(savedSidebar.data);
-
-      const allImages = await dbOperate(STORE_IMAGES, 'readonly', (store) => store.getAll());
-      const urlMap = {};
-      if (allImages && allImages.length > 0) {
-        allImages.forEach(imgData => {
-           urlMap[imgData.id] = URL.createObjectURL(imgData.blob);
-        });
+      const savedTiers = await dbOperate(STORE_CONFIG, 'readonly', (store) => store.get(projectKey(projectId, 'tiers')));
+      const savedSidebar = await dbOperate(STORE_CONFIG, 'readonly', (store) => store.get(projectKey(projectId, 'sidebar')));
+
+      const savedBin = await dbOperate(STORE_CONFIG, 'readonly', (store) => store.get(projectKey(projectId, 'bin')));
+      const savedPending = await dbOperate(STORE_CONFIG, 'readonly', (store) => store.get(projectKey(projectId, 'pendingPurge')));
+      const savedPurgeDays = await dbOperate(STORE_CONFIG, 'readonly', (store) => store.get('binAutoPurgeDays'));
+      const savedSnapshots = await dbOperate(STORE_CONFIG, 'readonly', (store) => store.get(projectKey(projectId, 'snapshots')));
+      const savedCollapsed = await dbOperate(STORE_CONFIG, 'readonly', (store) => store.get(projectKey(projectId, 'collapsed')));
+
+      // Auto-purge recycle bin entries older than the configured number of days
+      const purgeDays = savedPurgeDays?.data || 0;
+      const binEntries = savedBin ? savedBin.data : [];
+      const keptBin = purgeDays > 0 ? binEntries.filter(entry => Date.now() - entry.trashedAt < purgeDays * DAY_MS) : binEntries;
+      if (keptBin.length !== binEntries.length) {
+        await dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: projectKey(projectId, 'bin'), data: keptBin }));
       }
-      setImagesMap(urlMap);
+
+      const board = { tiers: savedTiers ? savedTiers.data : defaultTiers, sidebarImageIds: savedSidebar ? savedSidebar.data : [], bin: keptBin };
+      setTiers(board.tiers);
+      setSidebarImageIds(board.sidebarImageIds);
+      setBin(board.bin);
+      setBinAutoPurgeDays(purgeDays);
+      setCollapsedTierIds(savedCollapsed ? savedCollapsed.data : []);
+      const boardSnapshots = savedSnapshots ? savedSnapshots.data : [];
+      setSnapshots(boardSnapshots);
+      boardLoadedRef.current = { at: Date.now(), board };
+
+      // History does not survive a reload, so images only it kept alive are gone for good
+      const keptIds = new Set([...boardImageIds(board), ...boardSnapshots.flatMap(snapshotImageIds)]);
+      const expiredIds = [...(savedPending?.data || []), ...binEntries.map(entry => entry.id)].filter(id => !keptIds.has(id));
+      await deleteImages(expiredIds);
+      await dbOperate(STORE_CONFIG, 'readwrite', (store) => store.delete(projectKey(projectId, 'pendingPurge')));
+      pendingPurgeRef.current = [];
+      setHistory({ past: [], future: [] });
+
+      // Only metadata is kept; object URLs are created once an item scrolls into view
+      const allImages = (await getProjectImages(projectId)).filter(img => !expiredIds.includes(img.id));
+      const metaMap = {};
+      hashIndexRef.current = new Map();
+      allImages.forEach(imgData => {
+         if (imgData.hash) hashIndexRef.current.set(imgData.hash, imgData.id);
+         metaMap[imgData.id] = pickImageMeta(imgData);
+      });
+      imageCache.clear();
+      setImageMeta(metaMap);
     } catch (err) {
       console.error("Load failed:", err);
     } finally {
@@ -129,33 +287,166 @@ export default function TierListMaker() {
     }
   };
 
+  const saveProjectsToDB = async (nextProjects) => {
+    await dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: 'projects', data: nextProjects }));
+  };
+
+  const loadProjects = async () => {
+    const savedProjects = await dbOperate(STORE_CONFIG, 'readonly', (store) => store.get('projects'));
+    const savedLast = await dbOperate(STORE_CONFIG, 'readonly', (store) => store.get('lastProject'));
+
+    let list = savedProjects?.data || [];
+    if (list.length === 0) {
+      list = [{ id: DEFAULT_PROJECT_ID, name: '默认看板', createdAt: new Date().toISOString() }];
+      await dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: 'projects', data: list }));
+    }
+    const lastId = list.some(p => p.id === savedLast?.data) ? savedLast.data : list[0].id;
+    setProjects(list);
+    setActiveProjectId(lastId);
+    return lastId;
+  };
+
+  useEffect(() => {
+    loadProjects().then(projectId => loadData(projectId));
+  }, []);
+
+  // A #share= fragment opens the read-only view, on load or when pasted into this tab
   useEffect(() => {
-    loadData();
+    const openSharedHash = async () => {
+      if (!isShareHash(window.location.hash)) return;
+      try {
+        setSharedView(await readShareHash(window.location.hash));
+      } catch (error) {
+        alert(error.message);
+      }
+    };
+    openSharedHash();
+    window.addEventListener('hashchange', openSharedHash);
+    return () => window.removeEventListener('hashchange', openSharedHash);
   }, []);
 
   // --- Persistence ---
-  const saveConfigToDB = async (currentTiers, currentSidebar) => {
-    await dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: 'tiers', data: currentTiers }));
-    await dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: 'sidebar', data: currentSidebar }));
+  const saveConfigToDB = async (currentTiers, currentSidebar, currentBin = bin) => {
+    await dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: projectKey(activeProjectId, 'tiers'), data: currentTiers }));
+    await dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: projectKey(activeProjectId, 'sidebar'), data: currentSidebar }));
+    await dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: projectKey(activeProjectId, 'bin'), data: currentBin }));
   };
 
-  const saveImageToDB = async (id, blob) => {
-    await dbOperate(STORE_IMAGES, 'readwrite', (store) => store.put({ id, blob }));
+  // Image record: { id, projectId, blob (full size), thumb?, hash?, ...meta }
+  // `projectId` is only given when writing into a board that is not open yet (import into a new board)
+  const saveImageToDB = async (id, blob, meta = {}, { thumb, hash, projectId = activeProjectId } = {}) => {
+    const variants = { ...(thumb ? { thumb } : {}), ...(hash ? { hash } : {}) };
+    await dbOperate(STORE_IMAGES, 'readwrite', (store) => store.put({ id, projectId, blob, ...variants, ...pickImageMeta(meta) }));
+    if (hash && projectId === activeProjectId) hashIndexRef.current.set(hash, id);
   };
 
-  const deleteImageFromDB = async (id) => {
-    setImagesMap(prev => {
-        const next = { ...prev };
-        if (next[id]) URL.revokeObjectURL(next[id]);
-        delete next[id]; 
-        return next;
+  // Releases everything held in memory for an image that left the store
+  const forgetImage = (id) => {
+    imageCache.drop(id);
+    hashIndexRef.current.forEach((imageId, hash) => {
+      if (imageId === id) hashIndexRef.current.delete(hash);
     });
-    
+    setImageMeta(prev => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+  };
+
+  const deleteImageFromDB = async (id) => {
+    forgetImage(id);
+
     const db = await initDB();
     const tx = db.transaction([STORE_IMAGES], 'readwrite');
     tx.objectStore(STORE_IMAGES).delete(id);
   };
 
+  // --- HISTORY (Undo/Redo) ---
+
+  // Deletes the blobs of images that neither the board, any history entry nor any snapshot references anymore
+  const reconcileImages = async (liveBoards, departedIds, liveSnapshots = snapshots) => {
+    const candidates = Array.from(new Set([...pendingPurgeRef.current, ...departedIds]));
+    if (candidates.length === 0) return;
+    const referenced = new Set([...liveBoards.flatMap(boardImageIds), ...liveSnapshots.flatMap(snapshotImageIds)]);
+    const pending = candidates.filter(id => referenced.has(id));
+    candidates.filter(id => !referenced.has(id)).forEach(id => deleteImageFromDB(id));
+    pendingPurgeRef.current = pending;
+    await dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: projectKey(activeProjectId, 'pendingPurge'), data: pending }));
+  };
+
+  const applyBoard = (nextBoard, nextHistory) => {
+    const nextIds = new Set(boardImageIds(nextBoard));
+    const departedIds = boardImageIds({ tiers, sidebarImageIds, bin }).filter(id => !nextIds.has(id));
+
+    setTiers(nextBoard.tiers);
+    setSidebarImageIds(nextBoard.sidebarImageIds);
+    setBin(nextBoard.bin);
+    setHistory(nextHistory);
+    saveConfigToDB(nextBoard.tiers, nextBoard.sidebarImageIds, nextBoard.bin);
+    reconcileImages([nextBoard, ...nextHistory.past, ...nextHistory.future], departedIds);
+  };
+
+  // Every board mutation goes through here. Consecutive commits with the same
+  // mergeKey (e.g. typing into a tier label) collapse into one undo step.
+  const commitBoard = (nextTiers, nextSidebar, { mergeKey = null, bin: nextBin = bin } = {}) => {
+    const last = history.past[history.past.length - 1];
+    let past = history.past;
+    if (!mergeKey || last?.mergeKey !== mergeKey) {
+      past = [...past, { tiers, sidebarImageIds, bin, mergeKey }].slice(-HISTORY_LIMIT);
+    }
+    applyBoard({ tiers: nextTiers, sidebarImageIds: nextSidebar, bin: nextBin }, { past, future: [] });
+  };
+
+  // Batches that await between start and commit (uploads, fetched URLs, text items)
+  // read the board through here when they finish, so edits made meanwhile are kept
+  const latestBoardRef = useRef(null);
+  useLayoutEffect(() => {
+    latestBoardRef.current = { tiers, sidebarImageIds, commitBoard };
+  });
+
+  const undo = () => {
+    if (history.past.length === 0) return;
+    const prev = history.past[history.past.length - 1];
+    applyBoard(prev, {
+      past: history.past.slice(0, -1),
+      future: [{ tiers, sidebarImageIds, bin, mergeKey: prev.mergeKey }, ...history.future]
+    });
+  };
+
+  const redo = () => {
+    if (history.future.length === 0) return;
+    const next = history.future[0];
+    applyBoard(next, {
+      past: [...history.past, { tiers, sidebarImageIds, bin, mergeKey: next.mergeKey }],
+      future: history.future.slice(1)
+    });
+  };
+
+  // Undo/redo would change the board behind an open dialog; the upload panel is not modal
+  const isModalOpen = Boolean(
+    confirmModal.isOpen || saveModal.isOpen || showProjects || showBin || importReview || showImageExport
+    || detailImageId || editImageId || showUploadSettings || showStorage || showTemplates || styleTierId
+    || shareLink || showGroupRanking || showPairwise || showSnapshots || textItemModal || isProcessing
+  );
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || activeDragId || sharedView || isModalOpen) return;
+      // Leave text fields to their native undo
+      if (e.target.closest?.('input, textarea, [contenteditable="true"]')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
   // --- UNIVERSAL DOWNLOAD TRIGGER ---
   const triggerDownload = (blob, filename) => {
     const url = URL.createObjectURL(blob);
@@ -169,37 +460,153 @@ export default function TierListMaker() {
   };
 
   // --- File Processing Logic (Shared) ---
-  const processFiles = async (filesList) => {
+  // Each file is hashed, checked for duplicates, resized/re-encoded per uploadSettings
+  // and stored with a thumbnail. Progress and per-file errors go to the upload panel.
+  // `failures` ([{ name, message }]) are sources that never became a file, e.g. unreadable URLs.
+  // files[i] may come with extra metadata (metas[i]) and a tier to land in (tierIds[i]) instead of the pool.
+  const processFiles = async (filesList, failures = [], { metas = [], tierIds = [] } = {}) => {
     const files = Array.from(filesList);
-    if (files.length === 0) return;
-
-    const imageFiles = files.filter(f => f.type.startsWith('image/'));
-    if (imageFiles.length === 0) return;
-
-    setIsProcessing(true); // Reuse isProcessing to show loading state
+    if (files.length === 0 && failures.length === 0) return;
+
+    const items = [
+      ...files.map(file => ({ name: file.name, status: 'pending', message: '' })),
+      ...failures.map(failure => ({ name: failure.name, status: 'error', message: failure.message })),
+    ];
+    const report = (index, status, message = '') => {
+      items[index] = { ...items[index], status, message };
+      setUploadProgress({ items: [...items], finished: false });
+    };
+    setUploadProgress({ items: [...items], finished: false });
 
     const newIds = [];
-    const newMapEntries = {};
+    const newTierIds = [];
+    const newMetaEntries = {};
+    const binIds = new Set(bin.map(entry => entry.id));
+
+    for (const [index, file] of files.entries()) {
+      try {
+        if (!file.type.startsWith('image/')) throw new Error('不是图片文件');
+
+        const hash = await hashBlob(file);
+        // Text tiles are items in their own right: the same text may be ranked twice
+        const existingId = metas[index]?.textTile ? null : hashIndexRef.current.get(hash);
+        if (existingId && (imageMeta[existingId] || newMetaEntries[existingId])) {
+          report(index, 'duplicate', binIds.has(existingId) ? '与回收站中的图片重复，已跳过' : '与已有图片重复，已跳过');
+          continue;
+        }
 
-    for (const file of imageFiles) {
-      const id = 'img_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-      newIds.push(id);
-      
-      await saveImageToDB(id, file);
-      newMapEntries[id] = URL.createObjectURL(file);
+        const { full, thumb } = await processImage(file, uploadSettings);
+        const id = createId('img');
+        // Name defaults to the file name without its extension
+        const meta = { name: file.name.replace(/\.[^.]+$/, ''), ...metas[index] };
+        await saveImageToDB(id, full, meta, { thumb, hash });
+        newIds.push(id);
+        newTierIds.push(tierIds[index] || null);
+        newMetaEntries[id] = pickImageMeta(meta);
+        report(index, 'done');
+      } catch (err) {
+        console.error("Upload failed", file.name, err);
+        report(index, 'error', err.message || '处理失败');
+      }
     }
 
     // Update State
-    setImagesMap(prev => ({ ...prev, ...newMapEntries }));
-    
-    // Save to DB and Update Sidebar State
-    setSidebarImageIds(prev => {
-        const next = [...prev, ...newIds];
-        saveConfigToDB(tiers, next);
-        return next;
-    });
+    if (newIds.length > 0) {
+      setImageMeta(prev => ({ ...prev, ...newMetaEntries }));
+
+      // Added to the board as it is now; items whose tier was deleted meanwhile go to the pool
+      const latest = latestBoardRef.current;
+      const liveTierIds = new Set(latest.tiers.map(t => t.id));
+      const idsFor = (tierId) => newIds.filter((_, i) => (liveTierIds.has(newTierIds[i]) ? newTierIds[i] : null) === tierId);
+      latest.commitBoard(latest.tiers.map(t => ({ ...t, imageIds: [...t.imageIds, ...idsFor(t.id)] })), [...latest.sidebarImageIds, ...idsFor(null)]);
+    }
 
-    setIsProcessing(false);
+    // A clean batch closes itself; anything skipped or failed stays up until dismissed
+    const allDone = items.every(item => item.status === 'done');
+    setUploadProgress(allDone ? null : { items: [...items], finished: true });
+  };
+
+  const updateUploadSettings = (nextSettings) => {
+    setUploadSettings(nextSettings);
+    dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: 'uploadSettings', data: nextSettings }));
+  };
+
+  // Pasted or dropped images from other pages: files go straight in, URLs are fetched first
+  const importExternalImages = async (files, urls) => {
+    const fetched = [];
+    const failures = [];
+    for (const url of urls) {
+      try {
+        fetched.push(await fetchImageFile(url));
+      } catch (err) {
+        failures.push({ name: describeImageUrl(url), message: err.message });
+      }
+    }
+    await processFiles([...files, ...fetched], failures);
+  };
+
+  // Ctrl/Cmd+V anywhere outside a text field
+  useEffect(() => {
+    const handlePaste = (e) => {
+      if (sharedView || e.target.closest?.('input, textarea, [contenteditable="true"]')) return;
+      const { files, urls } = readClipboardImages(e.clipboardData);
+      if (files.length === 0 && urls.length === 0) return;
+      e.preventDefault();
+      importExternalImages(files, urls);
+    };
+    window.addEventListener('paste', handlePaste);
+    return () => window.removeEventListener('paste', handlePaste);
+  });
+
+  // --- TEXT ITEMS ---
+  // Generated tiles go through the upload pipeline like any file. A row with an image
+  // URL uses that image instead, falling back to a text tile when it cannot be fetched.
+  const createTextItems = async (entries, style) => {
+    setTextItemModal(null);
+    const files = [];
+    const metas = [];
+    const tierIds = [];
+    const failures = [];
+    for (const entry of entries) {
+      let file = null;
+      if (entry.imageUrl) {
+        try {
+          file = await fetchImageFile(entry.imageUrl);
+        } catch (err) {
+          failures.push({ name: entry.name, message: `${err.message}（已改用文字图块）` });
+        }
+      }
+      const textTile = file ? null : normalizeTextTile({ ...style, text: entry.name });
+      files.push(file || await renderTextTile(textTile));
+      metas.push({ name: textTileName(entry.name), ...(textTile ? { textTile } : {}) });
+      tierIds.push(findTierByLabel(tiers, entry.tier)?.id || null);
+    }
+    await processFiles(files, failures, { metas, tierIds });
+  };
+
+  // The tile is regenerated in place, so the item keeps its id, position and edit.
+  // A name that still follows the text is updated with it.
+  const saveTextTile = async (id, textTile) => {
+    setTextItemModal(null);
+    setIsProcessing(true);
+    try {
+      const previous = imageMeta[id] || {};
+      const file = await renderTextTile(textTile);
+      const { full, thumb } = await processImage(file, uploadSettings);
+      const followsText = !previous.name || previous.name === textTileName(previous.textTile?.text || '');
+      const meta = pickImageMeta({ ...previous, textTile, ...(followsText ? { name: textTileName(textTile.text) } : {}) });
+      hashIndexRef.current.forEach((imageId, hash) => {
+        if (imageId === id) hashIndexRef.current.delete(hash);
+      });
+      await saveImageToDB(id, full, meta, { thumb, hash: await hashBlob(file) });
+      imageCache.drop(id);
+      setImageMeta(prev => ({ ...prev, [id]: meta }));
+    } catch (error) {
+      console.error(error);
+      alert(error.message || "文字图块生成失败");
+    } finally {
+      setIsProcessing(false);
+    }
   };
 
   const handleFileUpload = async (e) => {
@@ -213,23 +620,16 @@ export default function TierListMaker() {
   const handleExportState = async () => {
     setIsProcessing(true);
     try {
-      const allImages = await dbOperate(STORE_IMAGES, 'readonly', (store) => store.getAll());
-      const imagesPayload = {};
-      for (const img of allImages) {
-        imagesPayload[img.id] = await blobToBase64(img.blob);
-      }
-      const state = {
-        version: 1, date: new Date().toISOString(), tiers, sidebarImageIds, images: imagesPayload
-      };
-      
-      const content = JSON.stringify(state);
-      const blob = new Blob([content], { type: 'application/json' });
-      
+      // Recycle bin and undo-only images stay local
+      const placedIds = new Set([...sidebarImageIds, ...tiers.flatMap(t => t.imageIds)]);
+      const allImages = (await getProjectImages(activeProjectId)).filter(img => placedIds.has(img.id));
+      const blob = await buildArchive({ tiers, sidebarImageIds, images: allImages });
+
       // Open Save Modal
       setSaveModal({
         isOpen: true,
         fileName: `tier-list-${Date.now()}`,
-        fileExtension: '.tmp',
+        fileExtension: ARCHIVE_EXTENSION,
         fileBlob: blob,
         title: '保存配置'
       });
@@ -242,91 +642,304 @@ export default function TierListMaker() {
     }
   };
 
-  // 2. Prepare Image Data
-  const exportImage = () => {
-    if (!window.html2canvas) return alert("插件加载中，请稍后");
-    
-    // Show Loading
+  // 2. Prepare Image Data (drawn natively on a canvas, works offline)
+  const updateExportSettings = (nextSettings) => {
+    setExportSettings(nextSettings);
+    dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: 'exportSettings', data: nextSettings }));
+  };
+
+  // The export draws full-size images (or their edited renditions), read from IndexedDB up front.
+  // The cache resolves a failed read to null; those items are named before the export opens.
+  const openImageExport = async () => {
     setIsProcessing(true);
-    
-    const ctrls = document.querySelectorAll('.tier-controls');
-    ctrls.forEach(c => c.style.display = 'none');
-    
-    // Small timeout to allow UI to update (hide controls)
-    setTimeout(() => {
-        window.html2canvas(exportRef.current, { backgroundColor: '#1f2937', useCORS: true, scale: 2, logging: false })
-          .then(canvas => {
-            canvas.toBlob((blob) => {
-                // Restore UI
-                ctrls.forEach(c => c.style.display = 'flex');
-                setIsProcessing(false);
-
-                if (!blob) return alert("生成图片失败");
-                
-                // Open Save Modal
-                setSaveModal({
-                    isOpen: true,
-                    fileName: `tier-list-${Date.now()}`,
-                    fileExtension: '.png',
-                    fileBlob: blob,
-                    title: '保存图片 (PNG)'
-                });
-            }, 'image/png');
-          })
-          .catch(err => {
-             console.error(err);
-             alert("截图失败");
-             ctrls.forEach(c => c.style.display = 'flex');
-             setIsProcessing(false);
-          });
-    }, 100);
+    try {
+      const ids = [...tiers.filter(t => !t.hiddenFromExport).flatMap(t => t.imageIds), ...sidebarImageIds];
+      const urls = await Promise.all(ids.map(id => {
+        const edit = imageMeta[id]?.edit;
+        return imageCache.load(id, needsRendition(edit) ? 'edited' : 'full', edit);
+      }));
+      const missing = ids.filter((_, i) => !urls[i]).map(id => imageMeta[id]?.name || id);
+      if (missing.length > 0) {
+        const listed = missing.slice(0, 10).join('、') + (missing.length > 10 ? ' 等' : '');
+        alert(`${missing.length} 张图片读取失败，导出的图片中将缺少：${listed}`);
+      }
+      setExportSources(Object.fromEntries(ids.map((id, i) => [id, urls[i]]).filter(([, url]) => url)));
+      setShowImageExport(true);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const exportImage = async () => {
+    setShowImageExport(false);
+    setIsProcessing(true);
+    try {
+      const canvas = await renderBoard({ tiers, sidebarImageIds, imagesMap: exportSources, imageMeta, theme: boardTheme }, exportSettings);
+      const blob = await canvasToBlob(canvas, exportSettings.format, exportSettings.quality);
+      if (!blob) return alert("生成图片失败");
+
+      // Browsers without an encoder for the format fall back to PNG
+      const format = Object.values(EXPORT_FORMATS).find(f => f.mime === blob.type) || EXPORT_FORMATS.png;
+
+      // Open Save Modal
+      setSaveModal({
+        isOpen: true,
+        fileName: `tier-list-${Date.now()}`,
+        fileExtension: format.extension,
+        fileBlob: blob,
+        title: `保存图片 (${format.label})`
+      });
+    } catch (error) {
+      console.error(error);
+      alert("生成图片失败");
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // --- SHARE LINKS ---
+  const openShareLink = async () => {
+    setIsProcessing(true);
+    try {
+      // Thumbnails as shown on the board (cropped/rotated if edited), shrunk to fit in a URL
+      const loadThumb = async (id) => {
+        const edit = imageMeta[id]?.edit;
+        const url = await imageCache.load(id, needsRendition(edit) ? 'edited-thumb' : 'thumb', edit);
+        if (!url) return null;
+        return createIconDataUrl(await (await fetch(url)).blob(), SHARE_THUMB_SIZE);
+      };
+      const board = { name: activeProject?.name || '我的看板', tiers, sidebarImageIds, imageMeta, theme: boardTheme };
+      setShareLink(await createShareLink(board, loadThumb));
+    } catch (error) {
+      console.error(error);
+      alert("生成分享链接失败");
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const closeSharedView = () => {
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    setSharedView(null);
+  };
+
+  // --- HEAD-TO-HEAD RANKING ---
+  const openPairwise = async () => {
+    const saved = await dbOperate(STORE_CONFIG, 'readonly', (store) => store.get(projectKey(activeProjectId, 'pairwise')));
+    // Images may have left the pool since the session was saved
+    const session = saved ? pruneSession(saved.data, sidebarImageIds) : null;
+    setPairwiseSession(session?.itemIds.length > 1 ? session : null);
+    setShowPairwise(true);
+  };
+
+  const savePairwiseSession = (session) => {
+    setPairwiseSession(session);
+    const key = projectKey(activeProjectId, 'pairwise');
+    dbOperate(STORE_CONFIG, 'readwrite', (store) => (session ? store.put({ id: key, data: session }) : store.delete(key)));
+  };
+
+  // groups[i] (best first) is appended to tiers[i]; only images still in the pool move
+  const applyPairwiseRanking = (groups) => {
+    const inPool = new Set(sidebarImageIds);
+    const moving = groups.map(ids => ids.filter(id => inPool.has(id)));
+    const moved = new Set(moving.flat());
+    const nextTiers = tiers.map((tier, index) => ({ ...tier, imageIds: [...tier.imageIds, ...(moving[index] || [])] }));
+    commitBoard(nextTiers, sidebarImageIds.filter(id => !moved.has(id)));
+    savePairwiseSession(null);
+    setShowPairwise(false);
+  };
+
+  // --- SNAPSHOTS ---
+  // Images that only a removed snapshot kept alive are purged like undo history would
+  const saveSnapshots = (nextSnapshots) => {
+    const keptIds = new Set(nextSnapshots.map(s => s.id));
+    const departedIds = snapshots.filter(s => !keptIds.has(s.id)).flatMap(snapshotImageIds);
+    setSnapshots(nextSnapshots);
+    dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: projectKey(activeProjectId, 'snapshots'), data: nextSnapshots }));
+    if (departedIds.length > 0) reconcileImages([{ tiers, sidebarImageIds, bin }, ...history.past, ...history.future], departedIds, nextSnapshots);
+  };
+
+  const takeSnapshot = (name, auto = false) => {
+    saveSnapshots(addSnapshot(snapshots, createSnapshot({ tiers, sidebarImageIds }, name, auto)));
+  };
+
+  const deleteSnapshot = (id) => saveSnapshots(snapshots.filter(s => s.id !== id));
+
+  // Restoring is an ordinary, undoable board change. Images added since the snapshot
+  // go to the pool instead of disappearing; the ones it places come back out of the bin.
+  const restoreSnapshot = (id) => {
+    const snapshot = snapshots.find(s => s.id === id);
+    if (!snapshot) return;
+    const restoredIds = new Set(snapshotImageIds(snapshot));
+    const newerIds = boardImageIds({ tiers, sidebarImageIds, bin: [] }).filter(imageId => !restoredIds.has(imageId));
+    commitBoard(snapshot.tiers, [...snapshot.sidebarImageIds, ...newerIds], { bin: bin.filter(entry => !restoredIds.has(entry.id)) });
+    setShowSnapshots(false);
+  };
+
+  const updateSnapshotInterval = (minutes) => {
+    setSnapshotInterval(minutes);
+    dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: 'snapshotInterval', data: minutes }));
   };
 
+  // Once the interval has passed since the newest snapshot (or since the board was opened),
+  // the board is snapshotted if it changed. Re-armed on every render, like the window listeners.
+  useEffect(() => {
+    if (!snapshotInterval || isLoading || sharedView) return;
+    const latest = snapshots[0];
+    const since = Math.max(boardLoadedRef.current.at, latest ? Date.parse(latest.createdAt) : 0);
+    const timer = setTimeout(() => {
+      // Without a snapshot yet, "changed" means changed since the board was opened
+      const previous = latest || boardLoadedRef.current.board;
+      if (previous && isSameArrangement(previous, { tiers, sidebarImageIds })) return;
+      takeSnapshot(`自动快照 ${new Date().toLocaleString()}`, true);
+    }, Math.max(0, since + snapshotInterval * 60 * 1000 - Date.now()));
+    return () => clearTimeout(timer);
+  });
+
+  // Thumbnails (or edited renditions) are enough for the diff image
+  const exportSnapshotDiff = async (diff, title) => {
+    setIsProcessing(true);
+    try {
+      const ids = [...diff.movedUp, ...diff.movedDown, ...diff.entered, ...diff.left].map(entry => entry.id);
+      const urls = await Promise.all(ids.map(id => {
+        const edit = imageMeta[id]?.edit;
+        return imageCache.load(id, needsRendition(edit) ? 'edited-thumb' : 'thumb', edit);
+      }));
+      const imagesMap = Object.fromEntries(ids.map((id, i) => [id, urls[i]]));
+      const canvas = await renderBoardDiff({ diff, imagesMap, imageMeta, title: activeProject?.name || '版本对比', subtitle: title });
+      const blob = await canvasToBlob(canvas, 'png');
+      if (!blob) return alert("生成图片失败");
+      setSaveModal({
+        isOpen: true,
+        fileName: `tier-list-diff-${Date.now()}`,
+        fileExtension: EXPORT_FORMATS.png.extension,
+        fileBlob: blob,
+        title: '保存对比图片'
+      });
+    } catch (error) {
+      console.error(error);
+      alert("生成图片失败");
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Boards built in memory (a share link, a group consensus) become a new board
+  // through the regular import review, like a file would. The board only exists once that is confirmed.
+  const importIntoNewBoard = (name, saveFile, source) => {
+    const { state, errors } = migrateState(saveFile.state);
+    setImportReview({ fileName: source, saveFile, state, errors, issues: state ? validateState(state, saveFile.imageIds) : [], newBoardName: name });
+  };
+
+  const copySharedBoard = () => {
+    const shared = sharedView;
+    closeSharedView();
+    importIntoNewBoard(shared.name, sharedBoardToSaveFile(shared), `分享链接：${shared.name}`);
+  };
+
+  // Reads, migrates and validates the file without touching the current board
   const handleImportState = async (e) => {
     const file = e.target.files?.[0];
+    e.target.value = '';
     if (!file) return;
 
-    setConfirmModal({
-      isOpen: true,
-      title: '确认导入',
-      message: '导入配置将覆盖当前所有进度，确定继续吗？',
-      confirmText: '覆盖导入',
-      confirmColor: 'bg-blue-600',
-      onConfirm: async () => {
-        setIsProcessing(true);
-        try {
-          const text = await file.text();
-          const state = JSON.parse(text);
-          if (!state.tiers || !state.images) throw new Error("Invalid format");
-
-          const db = await initDB();
-          const tx = db.transaction([STORE_CONFIG, STORE_IMAGES], 'readwrite');
-          tx.objectStore(STORE_CONFIG).clear();
-          tx.objectStore(STORE_IMAGES).clear();
-          await new Promise((resolve) => { tx.oncomplete = resolve; });
-
-          for (const [id, base64] of Object.entries(state.images)) {
-            const blob = await base64ToBlob(base64);
-            await saveImageToDB(id, blob);
-          }
-          await saveConfigToDB(state.tiers, state.sidebarImageIds);
-          await loadData();
-        } catch (error) {
-          console.error("Import failed", error);
-          alert("导入失败，文件格式可能已损坏");
-        } finally {
-          setIsProcessing(false);
-          e.target.value = '';
-        }
+    setIsProcessing(true);
+    try {
+      // Reads both the zip archive and legacy version 1 .tmp files
+      const saveFile = await readSaveFile(file);
+      const { state, errors } = migrateState(saveFile.state);
+      const issues = state ? validateState(state, saveFile.imageIds) : [];
+      setImportReview({ fileName: file.name, saveFile, state, errors, issues });
+    } catch (error) {
+      console.error("Import failed", error);
+      setImportReview({ fileName: file.name, errors: ['文件无法解析，格式可能已损坏'], issues: [] });
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // mode 'overwrite' replaces the current board; 'merge' adds to it as one undoable step
+  const executeImport = async ({ saveFile, state, newBoardName }, { mode, placement }) => {
+    setImportReview(null);
+    setIsProcessing(true);
+    const newProject = newBoardName ? { id: createId('project'), name: newBoardName, createdAt: new Date().toISOString() } : null;
+    const projectId = newProject?.id || activeProjectId;
+    const repaired = repairState(state, saveFile.imageIds);
+    const writtenIds = [];
+    try {
+      const previousIds = await getProjectImageIds(projectId);
+
+      // Image ids are global keys, so an id already used (by any board) gets a fresh one.
+      // New images are written next to the old ones; the board is only replaced once all of them made it.
+      const idMap = {};
+      for (const id of saveFile.imageIds) {
+        const taken = await dbOperate(STORE_IMAGES, 'readonly', (store) => store.getKey(id));
+        idMap[id] = taken ? createId('img') : id;
+        const blob = await saveFile.loadImage(id);
+        const thumb = await createThumbnail(blob).catch(() => null);
+        const hash = saveFile.imageHashes[id] || await hashBlob(blob);
+        await saveImageToDB(idMap[id], blob, saveFile.imageMeta[id], { thumb, hash, projectId });
+        writtenIds.push(idMap[id]);
       }
-    });
+      const remap = (ids) => ids.map(id => idMap[id]);
+      const importedBoard = {
+        tiers: repaired.tiers.map(t => ({ ...t, imageIds: remap(t.imageIds) })),
+        sidebarImageIds: remap(repaired.sidebarImageIds)
+      };
+
+      // The new board is registered last, so a failed or cancelled import leaves nothing behind
+      if (newProject) {
+        await dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: projectKey(projectId, 'tiers'), data: importedBoard.tiers }));
+        await dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: projectKey(projectId, 'sidebar'), data: importedBoard.sidebarImageIds }));
+        const nextProjects = [...projects, newProject];
+        setProjects(nextProjects);
+        await saveProjectsToDB(nextProjects);
+        await switchProject(projectId);
+        return;
+      }
+
+      if (mode === 'merge') {
+        const merged = mergeBoard({ tiers, sidebarImageIds }, importedBoard, placement);
+        const newMetaEntries = Object.fromEntries(saveFile.imageIds.map(id => [idMap[id], pickImageMeta(saveFile.imageMeta[id])]));
+        setImageMeta(prev => ({ ...prev, ...newMetaEntries }));
+        commitBoard(merged.tiers, merged.sidebarImageIds);
+        return;
+      }
+
+      // The replaced board is kept as an automatic snapshot; other per-board records
+      // (snapshots, head-to-head session) stay, and so do the images snapshots reference
+      const current = { tiers, sidebarImageIds };
+      const keptSnapshots = snapshots[0] && isSameArrangement(snapshots[0], current)
+        ? snapshots
+        : addSnapshot(snapshots, createSnapshot(current, `导入前 ${new Date().toLocaleString()}`, true));
+      await dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: projectKey(projectId, 'snapshots'), data: keptSnapshots }));
+      for (const key of ['tiers', 'sidebar', 'bin', 'pendingPurge']) {
+        await dbOperate(STORE_CONFIG, 'readwrite', (store) => store.delete(projectKey(projectId, key)));
+      }
+      await saveConfigToDB(importedBoard.tiers, importedBoard.sidebarImageIds, []);
+      const snapshotIds = new Set(keptSnapshots.flatMap(snapshotImageIds));
+      await deleteImages(previousIds.filter(id => !snapshotIds.has(id)));
+      await loadData(projectId);
+    } catch (error) {
+      console.error("Import failed", error);
+      await deleteImages(writtenIds);
+      if (newProject) await deleteProjectConfig(newProject.id);
+      alert("导入失败，文件格式可能已损坏（当前看板未被修改）");
+    } finally {
+      setIsProcessing(false);
+    }
   };
 
   // --- CORE DRAG & DROP LOGIC ---
 
   const handleDragStart = (e, id, sourceTierId) => {
-    dragItemRef.current = { id, sourceTierId };
-    setDragSource({ tierId: sourceTierId });
+    // Touch browsers may start a native drag on long-press too; the pointer path owns those
+    if (pointerPressRef.current || dragMode) {
+      e.preventDefault();
+      return;
+    }
+    const ids = getDragIds(id);
+    dragItemRef.current = { id, sourceTierId, ids };
     
     e.dataTransfer.effectAllowed = 'move';
     e.dataTransfer.setData('text/plain', id);
@@ -336,18 +949,41 @@ export default function TierListMaker() {
 
     setTimeout(() => {
         setActiveDragId(id);
+        setDraggedIds(ids);
     }, 0);
   };
 
+  // Shared by the touch and keyboard paths, which have no drag image to wait for
+  const startDrag = (id, sourceTierId, mode) => {
+    const ids = getDragIds(id);
+    const target = getSourcePosition(id, sourceTierId, ids);
+    dragItemRef.current = { id, sourceTierId, ids };
+    setActiveDragId(id);
+    setDraggedIds(ids);
+    setDropTarget(target);
+    setDragMode(mode);
+    return target;
+  };
+
   const handleDragEnd = () => {
     setActiveDragId(null);
-    setDragSource(null);
+    setDraggedIds([]);
     setDropTarget(null);
+    setDragMode(null);
     dragItemRef.current = null;
   };
 
+  const updateDropTarget = (tierId, index) => {
+    setDropTarget(prev => {
+      if (prev && prev.tierId === tierId && prev.index === index) return prev;
+      return { tierId, index };
+    });
+  };
+
   const handleDragOverItem = (e, targetTierId, targetItemId, indexInFilteredList) => {
     e.preventDefault();
+    // A tier drag passes through to the row underneath
+    if (dragTierRef.current) return;
     e.stopPropagation();
 
     if (!dragItemRef.current) return;
@@ -356,25 +992,13 @@ export default function TierListMaker() {
     if (dragId === targetItemId) return;
 
     const rect = e.currentTarget.getBoundingClientRect();
-    const midX = rect.left + rect.width / 2;
-    const isLeft = e.clientX < midX;
-    
-    const insertionIndex = isLeft ? indexInFilteredList : indexInFilteredList + 1;
-
-    setDropTarget(prev => {
-        if (prev && prev.tierId === targetTierId && prev.index === insertionIndex) return prev;
-        return { tierId: targetTierId, index: insertionIndex };
-    });
+    updateDropTarget(targetTierId, getInsertionIndex(rect, e.clientX, indexInFilteredList));
   };
 
   const handleDragOverContainer = (e, targetTierId, itemCountInFilteredList) => {
     e.preventDefault();
     if (!dragItemRef.current) return;
-    
-    setDropTarget(prev => {
-      if (prev && prev.tierId === targetTierId && prev.index === itemCountInFilteredList) return prev;
-      return { tierId: targetTierId, index: itemCountInFilteredList };
-    });
+    updateDropTarget(targetTierId, itemCountInFilteredList);
   };
 
   const handleDrop = (e) => {
@@ -388,49 +1012,340 @@ export default function TierListMaker() {
         return;
     }
 
+    // 2. Handle Tier Reordering
+    if (dragTierRef.current) {
+      if (tierDrag) moveTierTo(tierDrag.id, tierDrag.index);
+      handleTierDragEnd();
+      return;
+    }
+
     const dragItem = dragItemRef.current;
+
+    // 3. Handle Image Dragged From Another Tab (data: URL or text/uri-list)
+    if (!dragItem) {
+        const urls = readDroppedImageUrls(e.dataTransfer);
+        if (urls.length > 0) importExternalImages([], urls);
+        handleDragEnd();
+        return;
+    }
     
-    if (!dragItem || !dropTarget) {
+    if (!dropTarget) {
       handleDragEnd();
       return;
     }
 
-    const { id: dragId, sourceTierId } = dragItem;
-    const { tierId: targetTierId, index: insertionIndex } = dropTarget;
+    moveItems(dragItem.ids, dropTarget);
+    handleDragEnd();
+  };
 
-    // --- Perform Data Move ---
-    let newTiers = [...tiers];
-    let newSidebar = [...sidebarImageIds];
+  const locateItem = (id) => {
+    const tier = tiers.find(t => t.imageIds.includes(id));
+    return tier ? { tierId: tier.id, index: tier.imageIds.indexOf(id) } : { tierId: 'sidebar', index: sidebarImageIds.indexOf(id) };
+  };
 
-    if (sourceTierId === 'sidebar') {
-      newSidebar = newSidebar.filter(id => id !== dragId);
-    } else {
-      const sourceTier = newTiers.find(t => t.id === sourceTierId);
-      if (sourceTier) {
-        sourceTier.imageIds = sourceTier.imageIds.filter(id => id !== dragId);
-      }
-    }
+  // The data side of a drop, shared by mouse, touch and keyboard drags and the bulk actions.
+  // `ids` land together, in the given order, at `index` of the target list with them
+  // taken out (the same list dropTarget counts in); no index appends.
+  const moveItems = (ids, { tierId: targetTierId, index: insertionIndex }) => {
+    const moving = new Set(ids);
 
+    // --- Perform Data Move ---
+    // Copy the id lists too: the current tiers are kept as an undo snapshot
+    const newTiers = tiers.map(t => ({ ...t, imageIds: t.imageIds.filter(id => !moving.has(id)) }));
+    const newSidebar = sidebarImageIds.filter(id => !moving.has(id));
+
+    // Dropping on TRASH moves the images into the recycle bin, remembering where each came from
+    let newBin = bin;
     if (targetTierId === 'TRASH') {
-        deleteImageFromDB(dragId);
+        const trashedAt = Date.now();
+        newBin = [...ids.map(id => ({ id, ...locateItem(id), trashedAt })), ...bin];
     } else {
-        let targetList = targetTierId === 'sidebar' 
+        const targetList = targetTierId === 'sidebar' 
           ? newSidebar 
           : newTiers.find(t => t.id === targetTierId)?.imageIds;
 
         if (targetList) {
-          const finalIndex = Math.min(insertionIndex, targetList.length);
-          targetList.splice(finalIndex, 0, dragId);
+          const finalIndex = Math.min(insertionIndex ?? targetList.length, targetList.length);
+          targetList.splice(finalIndex, 0, ...ids);
         }
     }
 
-    setTiers(newTiers);
-    setSidebarImageIds(newSidebar);
-    saveConfigToDB(newTiers, newSidebar);
-    
-    handleDragEnd();
+    commitBoard(newTiers, newSidebar, { bin: newBin });
+  };
+
+  // Index of an item within its list, not counting the dragged items (what dropTarget.index means)
+  const getSourcePosition = (id, tierId, ids) => {
+    const list = tierId === 'sidebar' ? sidebarImageIds : tiers.find(t => t.id === tierId)?.imageIds || [];
+    const remaining = list.slice(0, Math.max(0, list.indexOf(id))).filter(other => !ids.includes(other));
+    return { tierId, index: remaining.length };
+  };
+
+  const describeDropTarget = (target) => {
+    if (!target) return '';
+    if (target.tierId === 'TRASH') return '回收站';
+    const label = target.tierId === 'sidebar' ? '待选图片库' : `评级行「${tiers.find(t => t.id === target.tierId)?.label}」`;
+    return `${label}第 ${target.index + 1} 个位置`;
+  };
+
+  const getItemName = (id) => imageMeta[id]?.name || '图片';
+  const describeDragged = (ids) => (ids.length > 1 ? `${ids.length} 张图片` : getItemName(ids[0]));
+
+  // --- TOUCH DRAG (pointer events) ---
+  // A long-press picks the item up; moving earlier is treated as a scroll.
+  const handlePointerDown = (e, id, tierId) => {
+    if (e.pointerType === 'mouse' || dragMode || !e.isPrimary) return;
+    const { clientX: x, clientY: y } = e;
+    const el = e.currentTarget;
+    const timer = setTimeout(() => {
+      pointerPressRef.current = null;
+      touchTargetRef.current = el;
+      pointerPosRef.current = { x, y };
+      startDrag(id, tierId, 'pointer');
+      navigator.vibrate?.(20);
+    }, LONG_PRESS_MS);
+    pointerPressRef.current = { timer, x, y };
+  };
+
+  const cancelPointerPress = () => {
+    if (!pointerPressRef.current) return;
+    clearTimeout(pointerPressRef.current.timer);
+    pointerPressRef.current = null;
+  };
+
+  const handlePointerMoveBeforeDrag = (e) => {
+    const press = pointerPressRef.current;
+    if (press && Math.hypot(e.clientX - press.x, e.clientY - press.y) > LONG_PRESS_TOLERANCE) cancelPointerPress();
+  };
+
+  // No callout menu while a long-press is pending or an item or tier is carried
+  const handleItemContextMenu = (e) => {
+    if (pointerPressRef.current || dragMode || tierDrag) e.preventDefault();
+  };
+
+  // Same rules as the dragover handlers, found by hit-testing under the finger.
+  // undefined keeps the current target (finger over the ghost); null means nowhere.
+  const getDropTargetAt = (x, y) => {
+    const el = document.elementFromPoint(x, y);
+    if (!el) return null;
+    if (el.closest('[data-drop-ghost]')) return undefined;
+    const item = el.closest('[data-item-index]');
+    if (item) {
+      return { tierId: item.dataset.tierId, index: getInsertionIndex(item.getBoundingClientRect(), x, Number(item.dataset.itemIndex)) };
+    }
+    const zone = el.closest('[data-drop-zone]');
+    if (zone) return { tierId: zone.dataset.dropZone, index: Number(zone.dataset.dropCount) };
+    return null;
+  };
+
+  useEffect(() => {
+    if (dragMode !== 'pointer') return;
+
+    const handlePointerMove = (e) => {
+      pointerPosRef.current = { x: e.clientX, y: e.clientY };
+      if (dragPreviewRef.current) {
+        dragPreviewRef.current.style.transform = `translate(${e.clientX - 40}px, ${e.clientY - 40}px)`;
+      }
+      if (e.clientY < AUTO_SCROLL_EDGE) window.scrollBy(0, -AUTO_SCROLL_STEP);
+      else if (e.clientY > window.innerHeight - AUTO_SCROLL_EDGE) window.scrollBy(0, AUTO_SCROLL_STEP);
+
+      const target = getDropTargetAt(e.clientX, e.clientY);
+      if (target === null) setDropTarget(null);
+      else if (target) updateDropTarget(target.tierId, target.index);
+    };
+    const handlePointerUp = () => {
+      const dragItem = dragItemRef.current;
+      if (dragItem && dropTarget) {
+        moveItems(dragItem.ids, dropTarget);
+        setAnnouncement(`已将${describeDragged(dragItem.ids)}放入${describeDropTarget(dropTarget)}`);
+      }
+      handleDragEnd();
+    };
+    // Keep the page from scrolling under the finger while an item is carried.
+    // The picked-up item leaves the DOM, and touchmove no longer bubbles from a
+    // detached target, so listen on the element itself as well.
+    const preventScroll = (e) => e.preventDefault();
+    const touchTarget = touchTargetRef.current;
+
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+    window.addEventListener('pointercancel', handleDragEnd);
+    window.addEventListener('touchmove', preventScroll, { passive: false });
+    touchTarget?.addEventListener('touchmove', preventScroll, { passive: false });
+    return () => {
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
+      window.removeEventListener('pointercancel', handleDragEnd);
+      window.removeEventListener('touchmove', preventScroll);
+      touchTarget?.removeEventListener('touchmove', preventScroll);
+    };
+  });
+
+  // --- TIER DRAG ---
+  // Rows are dragged by their label cell (by the grip in settings mode), mouse
+  // through native drag and drop and touch through a long-press, like items.
+  // The row stays mounted but hidden while a ghost row marks where it will land.
+  const handleTierDragStart = (e, id) => {
+    if (pointerPressRef.current || dragMode || tierDrag) {
+      e.preventDefault();
+      return;
+    }
+    dragTierRef.current = id;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', id);
+
+    const rowEl = document.getElementById(`tier-row-${id}`);
+    if (rowEl) e.dataTransfer.setDragImage(rowEl, 40, 40);
+
+    const index = tiers.findIndex(t => t.id === id);
+    setTimeout(() => setTierDrag({ id, index, mode: null }), 0);
+  };
+
+  const handleTierDragEnd = () => {
+    dragTierRef.current = null;
+    setTierDrag(null);
+  };
+
+  const updateTierDropIndex = (index) => {
+    setTierDrag(prev => (prev && prev.index !== index ? { ...prev, index } : prev));
   };
 
+  const handleTierDragOver = (e, slot) => {
+    e.preventDefault();
+    updateTierDropIndex(getRowInsertionIndex(e.currentTarget.getBoundingClientRect(), e.clientY, slot));
+  };
+
+  const handleTierPointerDown = (e, id) => {
+    if (e.pointerType === 'mouse' || dragMode || tierDrag || !e.isPrimary) return;
+    const { clientX: x, clientY: y } = e;
+    const timer = setTimeout(() => {
+      pointerPressRef.current = null;
+      setTierDrag({ id, index: tiers.findIndex(t => t.id === id), mode: 'pointer' });
+      navigator.vibrate?.(20);
+    }, LONG_PRESS_MS);
+    pointerPressRef.current = { timer, x, y };
+  };
+
+  const toggleTierCollapsed = (id) => {
+    const next = collapsedTierIds.includes(id) ? collapsedTierIds.filter(other => other !== id) : [...collapsedTierIds, id];
+    setCollapsedTierIds(next);
+    dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: projectKey(activeProjectId, 'collapsed'), data: next }));
+  };
+
+  // What the label cell (or the grip in settings mode) needs to act as a drag handle
+  const tierHandleProps = (id) => ({
+    draggable: true,
+    onDragStart: (e) => handleTierDragStart(e, id),
+    onDragEnd: handleTierDragEnd,
+    onPointerDown: (e) => handleTierPointerDown(e, id),
+    onPointerMove: handlePointerMoveBeforeDrag,
+    onPointerUp: cancelPointerPress,
+    onPointerCancel: cancelPointerPress,
+    onContextMenu: handleItemContextMenu,
+  });
+
+  useEffect(() => {
+    if (tierDrag?.mode !== 'pointer') return;
+
+    const handlePointerMove = (e) => {
+      if (e.clientY < AUTO_SCROLL_EDGE) window.scrollBy(0, -AUTO_SCROLL_STEP);
+      else if (e.clientY > window.innerHeight - AUTO_SCROLL_EDGE) window.scrollBy(0, AUTO_SCROLL_STEP);
+
+      // Over the ghost (no slot) the current index stays
+      const row = document.elementFromPoint(e.clientX, e.clientY)?.closest('[data-tier-slot]');
+      if (row) updateTierDropIndex(getRowInsertionIndex(row.getBoundingClientRect(), e.clientY, Number(row.dataset.tierSlot)));
+    };
+    const handlePointerUp = () => {
+      const tier = tiers.find(t => t.id === tierDrag.id);
+      moveTierTo(tierDrag.id, tierDrag.index);
+      setAnnouncement(`已将评级行「${tier?.label ?? ''}」移到第 ${tierDrag.index + 1} 行`);
+      setTierDrag(null);
+    };
+    const handlePointerCancel = () => setTierDrag(null);
+    const preventScroll = (e) => e.preventDefault();
+
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+    window.addEventListener('pointercancel', handlePointerCancel);
+    window.addEventListener('touchmove', preventScroll, { passive: false });
+    return () => {
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
+      window.removeEventListener('pointercancel', handlePointerCancel);
+      window.removeEventListener('touchmove', preventScroll);
+    };
+  });
+
+  // --- KEYBOARD DRAG ---
+  // Space picks up the focused item; arrows move the ghost within a list (←/→)
+  // or between lists (↑/↓); Space drops and Esc cancels.
+  const handleItemKeyDown = (e, id, tierId) => {
+    if (dragMode) return;
+    if (e.key === ' ') {
+      e.preventDefault();
+      const target = startDrag(id, tierId, 'keyboard');
+      setAnnouncement(`已拿起${describeDragged(getDragIds(id))}，当前在${describeDropTarget(target)}。使用方向键移动，空格键放下，Esc 键取消。`);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      setDetailImageId(id);
+    }
+  };
+
+  useEffect(() => {
+    if (dragMode !== 'keyboard') return;
+
+    const lists = [
+      ...tiers.map(t => ({ id: t.id, ids: t.imageIds })),
+      { id: 'sidebar', ids: sidebarImageIds },
+      { id: 'TRASH', ids: [] },
+    ];
+    const countOf = (list) => list.ids.filter(id => !draggedIds.includes(id)).length;
+
+    const handleKeyDown = (e) => {
+      const dragItem = dragItemRef.current;
+      if (!dragItem || !dropTarget) return;
+      const listIndex = lists.findIndex(l => l.id === dropTarget.tierId);
+      let next = null;
+
+      if (e.key === 'Escape') {
+        focusItemRef.current = dragItem.id;
+        setAnnouncement(`已取消移动${describeDragged(dragItem.ids)}`);
+        handleDragEnd();
+      } else if (e.key === ' ') {
+        focusItemRef.current = dragItem.id;
+        moveItems(dragItem.ids, dropTarget);
+        setAnnouncement(`已将${describeDragged(dragItem.ids)}放入${describeDropTarget(dropTarget)}`);
+        handleDragEnd();
+      } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+        const delta = e.key === 'ArrowLeft' ? -1 : 1;
+        next = { tierId: dropTarget.tierId, index: Math.min(Math.max(dropTarget.index + delta, 0), countOf(lists[listIndex])) };
+      } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+        const list = lists[Math.min(Math.max(listIndex + (e.key === 'ArrowUp' ? -1 : 1), 0), lists.length - 1)];
+        next = { tierId: list.id, index: Math.min(dropTarget.index, countOf(list)) };
+      } else {
+        return;
+      }
+
+      e.preventDefault();
+      if (next) {
+        updateDropTarget(next.tierId, next.index);
+        setAnnouncement(describeDropTarget(next));
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // Keep the keyboard ghost on screen, and give focus back to the item once it lands
+  useEffect(() => {
+    if (dragMode === 'keyboard') {
+      document.querySelector('[data-drop-ghost]')?.scrollIntoView({ block: 'nearest' });
+    } else if (!dragMode && focusItemRef.current) {
+      document.querySelector(`[data-item-id="${focusItemRef.current}"]`)?.focus();
+      focusItemRef.current = null;
+    }
+  });
+
   // --- LOGIC: RESET & CLEAR ---
   
   // 1. CLEAR BOARD (Yellow Button)
@@ -439,9 +1354,7 @@ export default function TierListMaker() {
     if (allTierImages.length === 0) return;
     const nextSidebar = Array.from(new Set([...sidebarImageIds, ...allTierImages]));
     const nextTiers = tiers.map(t => ({ ...t, imageIds: [] }));
-    setTiers(nextTiers);
-    setSidebarImageIds(nextSidebar);
-    saveConfigToDB(nextTiers, nextSidebar);
+    commitBoard(nextTiers, nextSidebar);
   };
 
   const handleClearBoardClick = () => {
@@ -463,20 +1376,21 @@ export default function TierListMaker() {
     tx.objectStore(STORE_CONFIG).clear();
     tx.objectStore(STORE_IMAGES).clear();
     
-    // Reset state to default
-    setTiers(defaultTiers);
-    setSidebarImageIds([]);
-    setImagesMap({}); // Revoke URLs might be needed properly but for full reset mostly fine
-    
-    // Save default state
-    saveConfigToDB(defaultTiers, []);
+    await new Promise((resolve) => { tx.oncomplete = resolve; });
+
+    // Reset state to default (a single fresh board)
+    setTemplates([]);
+    setBoardTheme(DEFAULT_BOARD_THEME);
+    setSnapshotInterval(0);
+    const projectId = await loadProjects();
+    await switchProject(projectId);
   };
 
   const handleFactoryResetClick = () => {
     setConfirmModal({
       isOpen: true,
       title: '完全重置 (初始化)',
-      message: '警告：此操作将删除所有图片和设置，将应用恢复到最初状态！该操作无法撤销。',
+      message: '警告：此操作将删除所有看板、图片和设置，将应用恢复到最初状态！该操作无法撤销。',
       confirmText: '确认初始化',
       confirmColor: 'bg-red-600',
       onConfirm: executeFactoryReset
@@ -488,23 +1402,348 @@ export default function TierListMaker() {
     if (!tier || tier.imageIds.length === 0) return;
     const nextSidebar = Array.from(new Set([...sidebarImageIds, ...tier.imageIds]));
     const nextTiers = tiers.map(t => t.id === tierId ? { ...t, imageIds: [] } : t);
-    setTiers(nextTiers);
-    setSidebarImageIds(nextSidebar);
-    saveConfigToDB(nextTiers, nextSidebar);
+    commitBoard(nextTiers, nextSidebar);
+  };
+
+  // --- IMAGE METADATA ---
+  // `meta` may be partial (the detail modal doesn't carry `edit`); missing fields are kept
+  const saveImageMeta = async (id, meta) => {
+    const cleanMeta = pickImageMeta({ ...imageMeta[id], ...meta });
+    setImageMeta(prev => ({ ...prev, [id]: cleanMeta }));
+    await updateImageMeta(id, cleanMeta);
+    return cleanMeta;
+  };
+
+  // The board picks up the new rendition by itself; the ones for older edits are released
+  const saveImageEdit = async (id, edit) => {
+    await saveImageMeta(id, { edit });
+    imageCache.drop(id, EDITED_VARIANTS);
+  };
+
+  // The editor works on the full image, so it opens once that is loaded
+  const openImageEditor = async (id) => {
+    if (await imageCache.load(id, 'full')) setEditImageId(id);
+  };
+
+  // --- SELECTION ---
+  // Kept in board order (tiers top to bottom, then the pool) and limited to placed
+  // images, so undo or trashing never leaves stale ids behind
+  const selectedSet = new Set(selectedIds);
+  const selection = [...tiers.flatMap(t => t.imageIds), ...sidebarImageIds].filter(id => selectedSet.has(id));
+
+  // A drag carries the whole selection when it starts on a selected image
+  const getDragIds = (id) => (selection.length > 1 && selectedSet.has(id) ? selection : [id]);
+
+  const handleItemClick = (e, id, tierId) => {
+    const anchor = selectionAnchorRef.current;
+    if (e.shiftKey && anchor?.tierId === tierId) {
+      // Range over what is on screen: the pool skips filtered-out images, tiers only dim them
+      const list = tierId === 'sidebar' ? sidebarImageIds : tiers.find(t => t.id === tierId)?.imageIds || [];
+      const visibleIds = tierId === 'sidebar' && filterActive ? list.filter(other => matchesFilter(imageMeta[other], false, filter)) : list;
+      const from = visibleIds.indexOf(anchor.id);
+      const to = visibleIds.indexOf(id);
+      if (from !== -1 && to !== -1) {
+        const range = visibleIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+        setSelectedIds(Array.from(new Set([...(e.ctrlKey || e.metaKey ? selectedIds : []), ...range])));
+        return;
+      }
+    }
+    selectionAnchorRef.current = { id, tierId };
+    if (e.ctrlKey || e.metaKey) {
+      setSelectedIds(selectedSet.has(id) ? selectedIds.filter(other => other !== id) : [...selectedIds, id]);
+    } else {
+      setSelectedIds([]);
+    }
+  };
+
+  // Marquee: press on empty board/pool space with the mouse and drag a rectangle.
+  // Ctrl/Cmd/Shift adds to the current selection; a plain click on empty space clears it.
+  const handleMarqueeStart = (e) => {
+    if (e.pointerType !== 'mouse' || e.button !== 0 || dragMode) return;
+    if (e.target.closest('[data-item-id], input, textarea, select, button, label, a')) return;
+    const additive = e.ctrlKey || e.metaKey || e.shiftKey;
+    marqueeBaseRef.current = { additive, baseIds: additive ? selection : [] };
+    setMarquee({ x1: e.clientX, y1: e.clientY, x2: e.clientX, y2: e.clientY, active: false });
+  };
+
+  useEffect(() => {
+    if (!marquee) return;
+
+    const handlePointerMove = (e) => {
+      const base = marqueeBaseRef.current;
+      if (!base) return;
+      const { x1, y1 } = marquee;
+      if (!marquee.active && Math.hypot(e.clientX - x1, e.clientY - y1) < 4) return;
+      window.getSelection()?.removeAllRanges();
+
+      const box = { left: Math.min(x1, e.clientX), right: Math.max(x1, e.clientX), top: Math.min(y1, e.clientY), bottom: Math.max(y1, e.clientY) };
+      const hits = Array.from(document.querySelectorAll('[data-item-id]'))
+        .filter(el => {
+          const rect = el.getBoundingClientRect();
+          return rect.left < box.right && rect.right > box.left && rect.top < box.bottom && rect.bottom > box.top;
+        })
+        .map(el => el.dataset.itemId);
+      setSelectedIds(Array.from(new Set([...base.baseIds, ...hits])));
+      setMarquee({ x1, y1, x2: e.clientX, y2: e.clientY, active: true });
+    };
+    const handlePointerUp = () => {
+      if (!marquee.active && !marqueeBaseRef.current?.additive) setSelectedIds([]);
+      marqueeBaseRef.current = null;
+      setMarquee(null);
+    };
+
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+    return () => {
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
+    };
+  });
+
+  // Esc drops the selection (a keyboard drag handles its own Esc)
+  useEffect(() => {
+    if (selectedIds.length === 0 || dragMode) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setSelectedIds([]);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // --- BULK ACTIONS ---
+  const sendSelectionToTier = (tierId) => {
+    if (selection.length === 0) return;
+    moveItems(selection, { tierId });
+  };
+
+  const returnSelectionToPool = () => {
+    const placed = selection.filter(id => !sidebarImageIds.includes(id));
+    if (placed.length === 0) return;
+    moveItems(placed, { tierId: 'sidebar' });
+  };
+
+  const trashSelection = () => {
+    if (selection.length === 0) return;
+    moveItems(selection, { tierId: 'TRASH' });
+    setSelectedIds([]);
+  };
+
+  // --- RECYCLE BIN ---
+  const restoreFromBin = (id) => {
+    const entry = bin.find(e => e.id === id);
+    if (!entry) return;
+    const nextBin = bin.filter(e => e.id !== id);
+    const nextTiers = tiers.map(t => ({ ...t, imageIds: [...t.imageIds] }));
+    const nextSidebar = [...sidebarImageIds];
+
+    // Back to the original tier and position; the pool if that tier no longer exists
+    const originalTier = nextTiers.find(t => t.id === entry.tierId);
+    const targetList = originalTier ? originalTier.imageIds : nextSidebar;
+    const index = originalTier || entry.tierId === 'sidebar' ? entry.index : targetList.length;
+    targetList.splice(Math.min(index ?? targetList.length, targetList.length), 0, id);
+
+    commitBoard(nextTiers, nextSidebar, { bin: nextBin });
+  };
+
+  // Permanent deletion is not an undo step: the images are stripped from the board,
+  // every history entry and every snapshot, and their blobs are deleted right away
+  const purgeFromBin = (ids) => {
+    const gone = new Set(ids);
+    const keep = (list) => list.filter(id => !gone.has(id));
+    const scrub = (board) => ({
+      ...board,
+      tiers: board.tiers.map(t => ({ ...t, imageIds: keep(t.imageIds) })),
+      sidebarImageIds: keep(board.sidebarImageIds),
+      ...(board.bin ? { bin: board.bin.filter(entry => !gone.has(entry.id)) } : {})
+    });
+
+    const nextBoard = scrub({ tiers, sidebarImageIds, bin });
+    setTiers(nextBoard.tiers);
+    setSidebarImageIds(nextBoard.sidebarImageIds);
+    setBin(nextBoard.bin);
+    setHistory({ past: history.past.map(scrub), future: history.future.map(scrub) });
+    saveConfigToDB(nextBoard.tiers, nextBoard.sidebarImageIds, nextBoard.bin);
+
+    if (snapshots.some(s => snapshotImageIds(s).some(id => gone.has(id)))) {
+      const nextSnapshots = snapshots.map(scrub);
+      setSnapshots(nextSnapshots);
+      dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: projectKey(activeProjectId, 'snapshots'), data: nextSnapshots }));
+    }
+    pendingPurgeRef.current = keep(pendingPurgeRef.current);
+    dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: projectKey(activeProjectId, 'pendingPurge'), data: pendingPurgeRef.current }));
+    ids.forEach(id => deleteImageFromDB(id));
+  };
+
+  const deleteFromBin = (id) => {
+    setConfirmModal({
+      isOpen: true,
+      title: '永久删除',
+      message: `确定要永久删除「${imageMeta[id]?.name || '这张图片'}」吗？图片会从撤销历史和快照中一并移除，此操作无法撤销。`,
+      confirmText: '永久删除',
+      confirmColor: 'bg-red-600',
+      onConfirm: () => purgeFromBin([id])
+    });
+  };
+
+  const handleEmptyBinClick = () => {
+    if (bin.length === 0) return;
+    setConfirmModal({
+      isOpen: true,
+      title: '清空回收站',
+      message: `确定要永久删除回收站中的 ${bin.length} 张图片吗？图片会从撤销历史和快照中一并移除，此操作无法撤销。`,
+      confirmText: '清空回收站',
+      confirmColor: 'bg-red-600',
+      onConfirm: () => purgeFromBin(bin.map(entry => entry.id))
+    });
+  };
+
+  // A global setting: the open board's expired entries go now, like loadData drops them,
+  // without an undo step; other boards are purged when they are next opened
+  const updateBinAutoPurgeDays = async (days) => {
+    setBinAutoPurgeDays(days);
+    await dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: 'binAutoPurgeDays', data: days }));
+    if (days === 0) return;
+    const keptBin = bin.filter(entry => Date.now() - entry.trashedAt < days * DAY_MS);
+    if (keptBin.length !== bin.length) applyBoard({ tiers, sidebarImageIds, bin: keptBin }, history);
+  };
+
+  // --- STORAGE ---
+  // Orphans found by the storage panel can belong to any board, including the open one
+  const deleteStoredImages = async (ids) => {
+    await deleteImages(ids);
+    ids.forEach(forgetImage);
+  };
+
+  // --- PROJECT LIBRARY ---
+  const switchProject = async (projectId) => {
+    setActiveProjectId(projectId);
+    await dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: 'lastProject', data: projectId }));
+    await loadData(projectId);
+  };
+
+  const createProject = async (name, templateId = DEFAULT_TEMPLATE_ID) => {
+    const project = { id: createId('project'), name, createdAt: new Date().toISOString() };
+    const template = findTemplate(templates, templateId);
+    if (template) {
+      await dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: projectKey(project.id, 'tiers'), data: templateToTiers(template) }));
+    }
+    const nextProjects = [...projects, project];
+    setProjects(nextProjects);
+    await saveProjectsToDB(nextProjects);
+    await switchProject(project.id);
+  };
+
+  const renameProject = async (projectId, name) => {
+    const nextProjects = projects.map(p => p.id === projectId ? { ...p, name } : p);
+    setProjects(nextProjects);
+    await saveProjectsToDB(nextProjects);
+  };
+
+  const duplicateProject = async (projectId) => {
+    const source = projects.find(p => p.id === projectId);
+    if (!source) return;
+    setIsProcessing(true);
+    try {
+      const project = { id: createId('project'), name: `${source.name} (副本)`, createdAt: new Date().toISOString() };
+      await copyProjectData(projectId, project.id);
+      const nextProjects = [...projects, project];
+      setProjects(nextProjects);
+      await saveProjectsToDB(nextProjects);
+      await switchProject(project.id);
+    } catch (error) {
+      console.error("Duplicate failed", error);
+      alert("复制看板失败");
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleDeleteProjectClick = (projectId) => {
+    const project = projects.find(p => p.id === projectId);
+    if (!project || projects.length <= 1) return;
+    setConfirmModal({
+      isOpen: true,
+      title: '删除看板',
+      message: `确定要删除看板「${project.name}」吗？其中的所有图片和设置都将被删除，该操作无法撤销。`,
+      confirmText: '确认删除',
+      confirmColor: 'bg-red-600',
+      onConfirm: async () => {
+        await deleteProjectData(projectId);
+        const nextProjects = projects.filter(p => p.id !== projectId);
+        setProjects(nextProjects);
+        await saveProjectsToDB(nextProjects);
+        if (projectId === activeProjectId) await switchProject(nextProjects[0].id);
+      }
+    });
+  };
+
+  // --- TEMPLATES ---
+  const saveTemplates = (nextTemplates) => {
+    setTemplates(nextTemplates);
+    dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: 'templates', data: nextTemplates }));
+  };
+
+  const saveCurrentAsTemplate = (name) => saveTemplates([...templates, tiersToTemplate(name, tiers)]);
+
+  const deleteTemplate = (templateId) => saveTemplates(templates.filter(t => t.id !== templateId));
+
+  const importTemplate = async (file) => {
+    try {
+      saveTemplates([...templates, parseTemplateFile(await file.text())]);
+    } catch (error) {
+      alert(`导入模板失败：${error.message}`);
+    }
+  };
+
+  const exportTemplate = (template) => {
+    setShowTemplates(false);
+    setSaveModal({
+      isOpen: true,
+      fileName: template.name,
+      fileExtension: TEMPLATE_EXTENSION,
+      fileBlob: new Blob([serializeTemplate(template)], { type: 'application/json' }),
+      title: '导出模板'
+    });
+  };
+
+  const createBoardFromTemplate = async (template) => {
+    setShowTemplates(false);
+    await createProject(template.name, template.id);
+  };
+
+  // Replaces the tier structure of the open board. Images stay in the tier with the
+  // same label (case-insensitive); the rest go back to the pool. Undoable like any edit.
+  const applyTemplate = (template) => {
+    const nextTiers = templateToTiers(template);
+    const nextSidebar = [...sidebarImageIds];
+    tiers.forEach(tier => {
+      const match = nextTiers.find(t => normalizeLabel(t.label) === normalizeLabel(tier.label) && t.imageIds.length === 0);
+      if (match) match.imageIds = [...tier.imageIds];
+      else nextSidebar.push(...tier.imageIds);
+    });
+    commitBoard(nextTiers, nextSidebar);
+    setShowTemplates(false);
+  };
+
+  const applyColorRamp = (ramp) => {
+    const nextTiers = tiers.map((t, i) => ({ ...t, color: rampColor(ramp, i, tiers.length) }));
+    commitBoard(nextTiers, sidebarImageIds);
   };
 
   // --- UI Operations ---
   const addNewTier = () => {
     const newTier = { id: `tier-${Date.now()}`, label: 'NEW', color: '#cccccc', imageIds: [] };
-    const nextTiers = [...tiers, newTier];
-    setTiers(nextTiers);
-    saveConfigToDB(nextTiers, sidebarImageIds);
+    commitBoard([...tiers, newTier], sidebarImageIds);
   };
 
   const updateTier = (id, field, value) => {
     const nextTiers = tiers.map(t => t.id === id ? { ...t, [field]: value } : t);
-    setTiers(nextTiers);
-    saveConfigToDB(nextTiers, sidebarImageIds);
+    commitBoard(nextTiers, sidebarImageIds, { mergeKey: `${id}:${field}` });
+  };
+
+  const updateBoardTheme = (nextTheme) => {
+    setBoardTheme(nextTheme);
+    dbOperate(STORE_CONFIG, 'readwrite', (store) => store.put({ id: 'boardTheme', data: nextTheme }));
   };
 
   const deleteTier = (id) => {
@@ -512,104 +1751,94 @@ export default function TierListMaker() {
     if (!tier) return;
     const nextSidebar = [...sidebarImageIds, ...tier.imageIds];
     const nextTiers = tiers.filter(t => t.id !== id);
-    setTiers(nextTiers);
-    setSidebarImageIds(nextSidebar);
-    saveConfigToDB(nextTiers, nextSidebar);
+    commitBoard(nextTiers, nextSidebar);
+  };
+
+  // `index` counts the other tiers, i.e. the position the tier ends up at
+  const moveTierTo = (id, index) => {
+    const tier = tiers.find(t => t.id === id);
+    if (!tier || tiers[index] === tier) return;
+    const others = tiers.filter(t => t.id !== id);
+    commitBoard([...others.slice(0, index), tier, ...others.slice(index)], sidebarImageIds);
   };
 
   const moveTier = (index, direction) => {
     if ((direction === -1 && index === 0) || (direction === 1 && index === tiers.length - 1)) return;
-    const nextTiers = [...tiers];
-    const temp = nextTiers[index];
-    nextTiers[index] = nextTiers[index + direction];
-    nextTiers[index + direction] = temp;
-    setTiers(nextTiers);
-    saveConfigToDB(nextTiers, sidebarImageIds);
+    moveTierTo(tiers[index].id, index + direction);
   };
 
-  // --- RENDER HELPERS ---
-  
-  const renderListItems = (tierId, currentImageIds) => {
-    const filteredIds = currentImageIds.filter(id => id !== activeDragId);
-    const displayItems = filteredIds.map(id => ({ type: 'ITEM', id }));
-
-    if (dropTarget && dropTarget.tierId === tierId && dropTarget.tierId !== 'TRASH' && activeDragId) {
-        let idx = dropTarget.index;
-        if (idx > displayItems.length) idx = displayItems.length;
-        displayItems.splice(idx, 0, { type: 'GHOST', id: activeDragId });
-    }
-
-    return (
-      <>
-        {displayItems.map((item, idx) => {
-            if (item.type === 'GHOST') {
-                 return (
-                     <div 
-                         key="ghost-placeholder"
-                         onDragOver={(e) => {
-                             e.preventDefault();
-                             e.stopPropagation();
-                         }}
-                         className="w-20 h-20 m-1 flex-shrink-0 bg-gray-600/50 rounded-md border-2 border-dashed border-blue-400 animate-pulse flex items-center justify-center pointer-events-auto"
-                     >
-                         <img 
-                           src={imagesMap[activeDragId]} 
-                           className="w-full h-full object-cover opacity-50 rounded-md grayscale" 
-                           alt="ghost" 
-                         />
-                     </div>
-                 );
-            }
-            
-            const realIndex = idx - (displayItems.slice(0, idx).filter(i => i.type === 'GHOST').length);
-            
-            return (
-                <div 
-                    key={item.id}
-                    className="relative w-20 h-20 m-1 flex-shrink-0 group cursor-grab active:cursor-grabbing hover:scale-105 transition-transform"
-                    draggable="true"
-                    onDragStart={(e) => handleDragStart(e, item.id, tierId)}
-                    onDragOver={(e) => handleDragOverItem(e, tierId, item.id, realIndex)}
-                >
-                    <img 
-                        id={`img-content-${item.id}`}
-                        src={imagesMap[item.id]} 
-                        alt="item" 
-                        className="w-full h-full object-cover rounded-md shadow-sm select-none pointer-events-none" 
-                    />
-                    <div className="absolute inset-0 bg-transparent" />
-                </div>
-            );
-        })}
-
-        {currentImageIds.includes(activeDragId) && (
-            <div style={{ position: 'absolute', width: 0, height: 0, opacity: 0, overflow: 'hidden', pointerEvents: 'none' }}>
-                <img src={imagesMap[activeDragId]} alt="hidden source" />
-            </div>
-        )}
-      </>
-    );
-  };
+  // --- SEARCH & FILTER ---
+  const filterActive = isFilterActive(filter);
+  const allTags = Array.from(new Set(Object.values(imageMeta).flatMap(meta => meta.tags || []))).sort((a, b) => a.localeCompare(b));
+  const poolMatchCount = filterActive ? sidebarImageIds.filter(id => matchesFilter(imageMeta[id], false, filter)).length : sidebarImageIds.length;
 
+  // --- RENDER HELPERS ---
+  const openItemDetail = (id) => setDetailImageId(id);
+
+  // ItemList is memoized, so it gets stable proxies that call the current handlers
+  const itemActionsRef = useRef(null);
+  useLayoutEffect(() => {
+    itemActionsRef.current = {
+      onDragStart: handleDragStart,
+      onDragOverItem: handleDragOverItem,
+      onPointerDown: handlePointerDown,
+      onPointerMove: handlePointerMoveBeforeDrag,
+      onPointerEnd: cancelPointerPress,
+      onContextMenu: handleItemContextMenu,
+      onKeyDown: handleItemKeyDown,
+      onClick: handleItemClick,
+      onOpen: openItemDetail,
+    };
+  });
+  const [itemActions] = useState(() => Object.fromEntries(ITEM_ACTIONS.map(name => [name, (...args) => itemActionsRef.current[name](...args)])));
+
+  // Props shared by every list; each is referentially stable while a drag moves between lists
+  const itemListProps = { activeDragId, draggedIds, selectedIds, imageMeta, filter, imageCache, actions: itemActions };
+  const getDropIndex = (listId) => (dropTarget?.tierId === listId ? dropTarget.index : null);
+
+  const activeProject = projects.find(p => p.id === activeProjectId);
+  const styleTier = tiers.find(t => t.id === styleTierId);
+  const draggedTier = tierDrag && tiers.find(t => t.id === tierDrag.id);
+  const draggedTierIndex = draggedTier ? tiers.indexOf(draggedTier) : -1;
+
+  // Marks where a dragged tier will land; it accepts drops but has no slot of its own
+  const renderTierGhost = () => (
+    <div
+      key="tier-ghost"
+      onDragOver={(e) => e.preventDefault()}
+      className="flex border-2 border-dashed border-blue-400 bg-gray-600/50 animate-pulse"
+      style={{ minHeight: collapsedTierIds.includes(draggedTier.id) ? undefined : draggedTier.minHeight || DEFAULT_ROW_HEIGHT }}
+    >
+      <div className="w-24 md:w-32 flex-shrink-0 flex items-center justify-center p-2 opacity-60" style={{ backgroundColor: draggedTier.color }}>
+        <TierLabel tier={draggedTier} />
+      </div>
+    </div>
+  );
+  const boardColors = resolveBoardTheme(boardTheme);
 
   if (isLoading) return <div className="min-h-screen bg-gray-900 flex items-center justify-center text-white">加载中...</div>;
 
+  // A shared board replaces the whole UI, so none of the editing controls are reachable
+  if (sharedView) {
+    return <SharedBoardView board={sharedView} onCopy={copySharedBoard} onExit={closeSharedView} />;
+  }
+
   return (
     <div 
         className="min-h-screen bg-gray-900 text-gray-100 font-sans flex flex-col" 
         onDragOver={(e) => {
             e.preventDefault();
-            // Show copy cursor if dragging external files
-            if (e.dataTransfer.types.includes('Files')) {
+            // Show copy cursor if dragging external files or images from another tab
+            if (e.dataTransfer.types.includes('Files') || (!dragItemRef.current && e.dataTransfer.types.includes('text/uri-list'))) {
                 e.dataTransfer.dropEffect = 'copy';
             }
         }} 
         onDrop={handleDrop}
     >
       
-      {/* 1. GLOBAL CONFIRM MODAL (Reset/Import) */}
+      {/* 1. GLOBAL CONFIRM MODAL (Reset/Import/Delete), above the modals that open it */}
       {confirmModal.isOpen && (
-        <div className="fixed inset-0 z-[150] flex items-center justify-center bg-black/60 backdrop-blur-sm p-4 animate-in fade-in duration-200">
+        <div className="fixed inset-0 z-[160] flex items-center justify-center bg-black/60 backdrop-blur-sm p-4 animate-in fade-in duration-200">
           <div className="bg-gray-800 border border-gray-700 p-6 rounded-2xl shadow-2xl max-w-sm w-full">
             <div className="flex items-center gap-3 mb-4">
                <div className="bg-yellow-500/10 p-2 rounded-full"><AlertTriangle className="text-yellow-500" size={24} /></div>
@@ -672,6 +1901,193 @@ export default function TierListMaker() {
         </div>
       )}
 
+      {/* 3. PROJECT LIBRARY MODAL */}
+      {showProjects && (
+        <ProjectLibraryModal
+          projects={projects}
+          activeProjectId={activeProjectId}
+          templates={templates}
+          onClose={() => setShowProjects(false)}
+          onCreate={createProject}
+          onSwitch={(projectId) => { switchProject(projectId); setShowProjects(false); }}
+          onRename={renameProject}
+          onDuplicate={duplicateProject}
+          onDelete={handleDeleteProjectClick}
+        />
+      )}
+
+      {/* 4. RECYCLE BIN MODAL */}
+      {showBin && (
+        <RecycleBinModal
+          bin={bin}
+          tiers={tiers}
+          imageCache={imageCache}
+          autoPurgeDays={binAutoPurgeDays}
+          onClose={() => setShowBin(false)}
+          onRestore={restoreFromBin}
+          onDelete={deleteFromBin}
+          onEmpty={handleEmptyBinClick}
+          onChangeAutoPurge={updateBinAutoPurgeDays}
+        />
+      )}
+
+      {/* 5. IMPORT REVIEW MODAL (validation report before the board is replaced) */}
+      {importReview && (
+        <ImportReviewModal
+          review={importReview}
+          onCancel={() => setImportReview(null)}
+          onConfirm={(options) => executeImport(importReview, options)}
+        />
+      )}
+
+      {/* 6. IMAGE EXPORT OPTIONS MODAL */}
+      {showImageExport && (
+        <ImageExportModal
+          tiers={tiers}
+          sidebarImageIds={sidebarImageIds}
+          imagesMap={exportSources}
+          imageMeta={imageMeta}
+          theme={boardTheme}
+          settings={exportSettings}
+          onChange={updateExportSettings}
+          onCancel={() => setShowImageExport(false)}
+          onConfirm={exportImage}
+        />
+      )}
+
+      {/* 7. ITEM DETAIL MODAL (name, caption, notes) */}
+      {detailImageId && (
+        <ItemDetailModal
+          key={detailImageId}
+          imageId={detailImageId}
+          imageCache={imageCache}
+          meta={imageMeta[detailImageId] || {}}
+          onClose={() => setDetailImageId(null)}
+          onSave={(meta) => saveImageMeta(detailImageId, meta)}
+          onEditImage={() => openImageEditor(detailImageId)}
+          onEditText={() => { setTextItemModal({ editId: detailImageId }); setDetailImageId(null); }}
+        />
+      )}
+
+      {/* 8. IMAGE EDITOR MODAL (crop, focus, rotate, fit) */}
+      {editImageId && (
+        <ImageEditorModal
+          key={editImageId}
+          imageUrl={imageCache.get(editImageId, 'full')}
+          edit={imageMeta[editImageId]?.edit}
+          onCancel={() => setEditImageId(null)}
+          onSave={(edit) => { saveImageEdit(editImageId, edit); setEditImageId(null); }}
+        />
+      )}
+
+      {/* 9. UPLOAD SETTINGS MODAL */}
+      {showUploadSettings && (
+        <UploadSettingsModal
+          settings={uploadSettings}
+          onChange={updateUploadSettings}
+          onClose={() => setShowUploadSettings(false)}
+        />
+      )}
+
+      {/* 10. STORAGE MODAL (usage, orphan cleanup, persistence) */}
+      {showStorage && (
+        <StorageModal
+          projects={projects}
+          imageCache={imageCache}
+          liveImageIds={[{ tiers, sidebarImageIds, bin }, ...history.past, ...history.future].flatMap(boardImageIds)}
+          onDeleteImages={deleteStoredImages}
+          onClose={() => setShowStorage(false)}
+        />
+      )}
+
+      {/* 11. TIER TEMPLATE LIBRARY */}
+      {showTemplates && (
+        <TemplateLibraryModal
+          templates={templates}
+          onSaveCurrent={saveCurrentAsTemplate}
+          onCreateBoard={createBoardFromTemplate}
+          onApply={applyTemplate}
+          onExport={exportTemplate}
+          onImport={importTemplate}
+          onDelete={deleteTemplate}
+          onApplyRamp={applyColorRamp}
+          onClose={() => setShowTemplates(false)}
+        />
+      )}
+
+      {/* 12. TIER STYLE MODAL (text color, icon, font size, row height) */}
+      {styleTier && (
+        <TierStyleModal
+          tier={styleTier}
+          onChange={(field, value) => updateTier(styleTier.id, field, value)}
+          onClose={() => setStyleTierId(null)}
+        />
+      )}
+
+      {/* 13. SHARE LINK MODAL */}
+      {shareLink && <ShareLinkModal link={shareLink} onClose={() => setShareLink(null)} />}
+
+      {/* 14. GROUP RANKING MODAL */}
+      {showGroupRanking && (
+        <GroupRankingModal
+          onCreateBoard={(saveFile, name) => {
+            setShowGroupRanking(false);
+            importIntoNewBoard(name, saveFile, name);
+          }}
+          onClose={() => setShowGroupRanking(false)}
+        />
+      )}
+
+      {/* 15. HEAD-TO-HEAD RANKING MODAL */}
+      {showPairwise && (
+        <PairwiseRankingModal
+          session={pairwiseSession}
+          imageIds={sidebarImageIds}
+          imageMeta={imageMeta}
+          imageCache={imageCache}
+          tiers={tiers}
+          onSessionChange={savePairwiseSession}
+          onApply={applyPairwiseRanking}
+          onClose={() => setShowPairwise(false)}
+        />
+      )}
+
+      {/* 16. SNAPSHOT MODAL */}
+      {showSnapshots && (
+        <SnapshotModal
+          snapshots={snapshots}
+          board={{ tiers, sidebarImageIds }}
+          imageMeta={imageMeta}
+          imageCache={imageCache}
+          interval={snapshotInterval}
+          onIntervalChange={updateSnapshotInterval}
+          onCreate={(name) => takeSnapshot(name)}
+          onRestore={restoreSnapshot}
+          onDelete={deleteSnapshot}
+          onExportDiff={exportSnapshotDiff}
+          onClose={() => setShowSnapshots(false)}
+        />
+      )}
+
+      {/* 17. TEXT ITEM MODAL (create, bulk create, edit a tile) */}
+      {textItemModal && (
+        <TextItemModal
+          tiers={tiers}
+          tile={textItemModal.editId ? imageMeta[textItemModal.editId]?.textTile : null}
+          onCreate={createTextItems}
+          onSave={(textTile) => saveTextTile(textItemModal.editId, textTile)}
+          onClose={() => setTextItemModal(null)}
+        />
+      )}
+
+      {uploadProgress && (
+        <UploadProgressPanel
+          items={uploadProgress.items}
+          finished={uploadProgress.finished}
+          onClose={() => setUploadProgress(null)}
+        />
+      )}
+
       {isProcessing && (
         <div className="fixed inset-0 bg-black/70 z-[200] flex items-center justify-center text-white">
           <div className="animate-spin rounded-full h-12 w-12 border-4 border-blue-500 border-t-transparent mb-4"></div>
@@ -688,14 +2104,24 @@ export default function TierListMaker() {
             <h1 className="text-2xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-blue-400 to-indigo-300">
               Tier Maker Pro
             </h1>
+            {activeProject && <span className="text-sm text-gray-400 truncate max-w-[12rem]">/ {activeProject.name}</span>}
           </div>
           <div className="flex flex-wrap gap-2 justify-center">
+            <button onClick={undo} disabled={history.past.length === 0} className="flex items-center gap-2 px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm transition-colors disabled:opacity-40 disabled:hover:bg-gray-700" title="撤销 (Ctrl+Z)"><Undo2 size={16} /></button>
+            <button onClick={redo} disabled={history.future.length === 0} className="flex items-center gap-2 px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm transition-colors disabled:opacity-40 disabled:hover:bg-gray-700" title="重做 (Ctrl+Shift+Z)"><Redo2 size={16} /></button>
+            <button onClick={() => setShowSnapshots(true)} className="flex items-center gap-2 px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm transition-colors" title="快照"><History size={16} /></button>
+            <div className="h-6 w-px bg-gray-600 mx-1"></div>
+            <button onClick={() => setShowProjects(true)} className="flex items-center gap-2 px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm transition-colors"><Library size={16} /> 看板</button>
+            <button onClick={() => setShowTemplates(true)} className="flex items-center gap-2 px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm transition-colors" title="评级模板"><LayoutTemplate size={16} /></button>
+            <button onClick={() => setShowStorage(true)} className="flex items-center gap-2 px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm transition-colors" title="存储空间"><HardDrive size={16} /></button>
+            <button onClick={() => setShowGroupRanking(true)} className="flex items-center gap-2 px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm transition-colors" title="多人汇总"><Users size={16} /></button>
             <div className="relative">
-              <input ref={importInputRef} type="file" accept=".tmp,.json" className="hidden" onChange={handleImportState} />
+              <input ref={importInputRef} type="file" accept=".zip,.tmp,.json" className="hidden" onChange={handleImportState} />
               <button onClick={() => importInputRef.current.click()} className="flex items-center gap-2 px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm transition-colors"><FolderOpen size={16} /> 导入</button>
             </div>
             <button onClick={handleExportState} className="flex items-center gap-2 px-3 py-2 bg-indigo-600 hover:bg-indigo-500 rounded-lg text-sm transition-colors shadow-lg shadow-indigo-900/20"><FileJson size={16} /> 保存配置</button>
-            <button onClick={exportImage} className="flex items-center gap-2 px-3 py-2 bg-green-600 hover:bg-green-500 rounded-lg text-sm font-medium transition-colors"><Download size={16} /> 保存图片</button>
+            <button onClick={openImageExport} className="flex items-center gap-2 px-3 py-2 bg-green-600 hover:bg-green-500 rounded-lg text-sm font-medium transition-colors"><Download size={16} /> 保存图片</button>
+            <button onClick={openShareLink} className="flex items-center gap-2 px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm transition-colors" title="分享只读链接"><Share2 size={16} /></button>
             <div className="h-6 w-px bg-gray-600 mx-1"></div>
             <button onClick={() => setShowSettings(!showSettings)} className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm transition-colors ${showSettings ? 'bg-blue-600' : 'bg-gray-700 hover:bg-gray-600'}`}><Settings size={16} /> 设置</button>
             
@@ -709,40 +2135,105 @@ export default function TierListMaker() {
       </header>
 
       {/* Main */}
-      <main className="flex-1 max-w-7xl mx-auto w-full p-4 flex flex-col gap-8 pb-20">
-        <div ref={exportRef} className="bg-gray-800 rounded-xl shadow-2xl border border-gray-700 overflow-hidden">
-          {tiers.map((tier, index) => {
-             const realCount = tier.imageIds.filter(id => id !== activeDragId).length;
+      <main className={`flex-1 max-w-7xl mx-auto w-full p-4 flex flex-col gap-8 pb-20 ${marquee ? 'select-none' : ''}`} onPointerDown={handleMarqueeStart}>
+        <FilterBar filter={filter} tags={allTags} onChange={setFilter} onClear={() => setFilter(EMPTY_FILTER)} />
 
-             return (
+        {showSettings && (
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-300 -mb-4">
+            <span className="text-gray-400">看板主题</span>
+            {Object.entries(BOARD_THEMES).map(([mode, preset]) => (
+              <button
+                key={mode}
+                onClick={() => updateBoardTheme({ ...boardTheme, mode })}
+                className={`px-3 py-1 rounded-lg transition-colors ${boardTheme.mode === mode ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600'}`}
+              >
+                {preset.label}
+              </button>
+            ))}
+            {boardTheme.mode === 'custom' && (
+              <input type="color" value={boardTheme.background} onChange={(e) => updateBoardTheme({ ...boardTheme, background: e.target.value })} className="w-8 h-8 cursor-pointer rounded overflow-hidden border-0 p-0" title="背景颜色" />
+            )}
+          </div>
+        )}
+
+        <div className="bg-gray-800 rounded-xl shadow-2xl border border-gray-700 overflow-hidden" style={{ '--item-caption': boardColors.itemText }}>
+          {tiers.map((tier, index) => {
+             const realCount = tier.imageIds.filter(id => !draggedIds.includes(id)).length;
+             const isDraggedTier = tierDrag?.id === tier.id;
+             const isCollapsed = collapsedTierIds.includes(tier.id);
+             // Position among the other tiers while one is dragged (what tierDrag.index counts)
+             const slot = draggedTierIndex !== -1 && index > draggedTierIndex ? index - 1 : index;
+             const showGhostBefore = tierDrag && !isDraggedTier && slot === tierDrag.index;
+             const showGhostAfter = tierDrag && index === tiers.length - 1 && tierDrag.index === tiers.length - 1;
+
+             const row = (
               <div 
                 key={tier.id} 
-                className={`flex border-b border-gray-900 last:border-none min-h-[100px] bg-gray-900 transition-colors ${dropTarget?.tierId === tier.id ? 'bg-gray-800/80' : ''}`}
-                onDragOver={(e) => handleDragOverContainer(e, tier.id, realCount)}
+                id={`tier-row-${tier.id}`}
+                className={`flex border-b last:border-none bg-gray-900 transition-colors ${dropTarget?.tierId === tier.id ? 'bg-gray-800/80' : ''} ${isDraggedTier ? 'hidden' : ''}`}
+                style={{ borderColor: boardColors.separator, minHeight: isCollapsed ? undefined : tier.minHeight || DEFAULT_ROW_HEIGHT }}
+                onDragOver={(e) => (dragTierRef.current ? handleTierDragOver(e, slot) : handleDragOverContainer(e, tier.id, realCount))}
+                data-drop-zone={tier.id}
+                data-drop-count={realCount}
+                data-tier-slot={isDraggedTier ? undefined : slot}
               >
-                <div className="w-24 md:w-32 flex-shrink-0 flex flex-col items-center justify-center p-2 text-center relative" style={{ backgroundColor: tier.color }}>
+                <div
+                  className={`w-24 md:w-32 flex-shrink-0 flex flex-col items-center justify-center p-2 text-center relative ${showSettings ? '' : 'cursor-grab'}`}
+                  style={{ backgroundColor: tier.color }}
+                  {...(showSettings ? {} : tierHandleProps(tier.id))}
+                >
+                  {/* Pressing it must not start a row drag (long-press or native) from the label cell */}
+                  <button
+                    onClick={() => toggleTierCollapsed(tier.id)}
+                    onPointerDown={(e) => e.stopPropagation()}
+                    onMouseDown={(e) => e.preventDefault()}
+                    className="absolute top-1 left-1 p-0.5 rounded bg-black/10 hover:bg-black/30 text-black/60"
+                    title={isCollapsed ? '展开' : '折叠'}
+                  >
+                    {isCollapsed ? <ChevronRight size={14} /> : <ChevronDown size={14} />}
+                  </button>
+                  {tier.hiddenFromExport && !showSettings && (
+                    <span className="absolute top-1 right-1 p-0.5 rounded bg-black/10 text-black/60" title="导出图片时隐藏"><EyeOff size={14} /></span>
+                  )}
                   {showSettings ? (
                     <div className="flex flex-col gap-2 w-full tier-controls animate-in fade-in zoom-in duration-200">
                       <input value={tier.label} onChange={(e) => updateTier(tier.id, 'label', e.target.value)} className="bg-black/20 text-white text-center w-full rounded px-1 py-1 font-bold text-sm" />
-                      <div className="flex gap-1 justify-center w-full">
+                      <div className="flex flex-wrap gap-1 justify-center w-full">
                          <input type="color" value={tier.color} onChange={(e) => updateTier(tier.id, 'color', e.target.value)} className="w-8 h-8 cursor-pointer rounded overflow-hidden border-0 p-0" />
+                         <button onClick={() => setStyleTierId(tier.id)} className="w-8 h-8 bg-black/20 hover:bg-black/40 rounded flex items-center justify-center text-white" title="样式"><Paintbrush size={14} /></button>
                          <button onClick={() => deleteTier(tier.id)} className="w-8 h-8 bg-black/20 hover:bg-red-600 rounded flex items-center justify-center text-white"><X size={14} /></button>
                       </div>
-                      <div className="flex gap-1 justify-center w-full">
+                      <div className="flex flex-wrap gap-1 justify-center w-full">
+                         <span {...tierHandleProps(tier.id)} className="text-xs bg-black/20 hover:bg-black/40 px-1 rounded flex items-center justify-center text-white cursor-grab" title="拖动排序"><GripVertical size={12} /></span>
                          <button onClick={() => moveTier(index, -1)} className="text-xs bg-black/20 hover:bg-black/40 px-2 rounded">▲</button>
                          <button onClick={() => moveTier(index, 1)} className="text-xs bg-black/20 hover:bg-black/40 px-2 rounded">▼</button>
                          <button onClick={() => returnTierToPool(tier.id)} className="text-xs bg-black/20 hover:bg-yellow-500/80 px-2 rounded flex items-center justify-center text-white"><Eraser size={12} /></button>
+                         <button
+                           onClick={() => updateTier(tier.id, 'hiddenFromExport', !tier.hiddenFromExport || undefined)}
+                           className={`text-xs px-2 rounded flex items-center justify-center text-white ${tier.hiddenFromExport ? 'bg-black/50' : 'bg-black/20 hover:bg-black/40'}`}
+                           title={tier.hiddenFromExport ? '导出图片时隐藏（点击取消）' : '导出图片时隐藏'}
+                         >
+                           <EyeOff size={12} />
+                         </button>
                       </div>
                     </div>
                   ) : (
-                    <span className="text-2xl md:text-3xl font-black text-black/70 drop-shadow-sm select-none break-words w-full px-1">{tier.label}</span>
+                    <TierLabel tier={tier} />
                   )}
                 </div>
-                <div className="flex-1 flex flex-wrap content-start items-start p-2 gap-2 min-h-[100px] bg-gray-800 relative">
-                  {renderListItems(tier.id, tier.imageIds)}
+                <div className="flex-1 flex flex-wrap content-start items-start p-2 gap-2 relative" style={{ backgroundColor: boardColors.rowBackground }}>
+                  {isCollapsed ? (
+                    <button onClick={() => toggleTierCollapsed(tier.id)} className="self-center px-2 py-1 text-sm text-gray-400 hover:text-gray-200">
+                      已折叠 · {tier.imageIds.length} 张图片
+                    </button>
+                  ) : (
+                    <ItemList listId={tier.id} imageIds={tier.imageIds} dropIndex={getDropIndex(tier.id)} {...itemListProps} />
+                  )}
                 </div>
               </div>
             );
+
+            return [showGhostBefore && renderTierGhost(), row, showGhostAfter && renderTierGhost()];
           })}
         </div>
 
@@ -755,20 +2246,27 @@ export default function TierListMaker() {
         <div className="flex flex-col gap-4">
            <div className="flex items-center justify-between border-b border-gray-700 pb-2">
               <h2 className="text-xl font-bold flex items-center gap-2 text-gray-200">
-                <ImageIcon className="text-blue-400" /> 待选图片库 <span className="text-sm bg-gray-800 px-2 py-0.5 rounded-full text-gray-400">{sidebarImageIds.length}</span>
+                <ImageIcon className="text-blue-400" /> 待选图片库 <span className="text-sm bg-gray-800 px-2 py-0.5 rounded-full text-gray-400">{filterActive ? `${poolMatchCount} / ` : ''}{sidebarImageIds.length}</span>
               </h2>
-              <label className="cursor-pointer bg-blue-600 hover:bg-blue-500 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-colors text-sm font-medium shadow-lg shadow-blue-900/20">
-                <Upload size={16} /> 上传图片
-                <input ref={fileInputRef} type="file" className="hidden" multiple accept="image/*" onChange={handleFileUpload} />
-              </label>
+              <div className="flex items-center gap-2">
+                <button onClick={openPairwise} className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-400 transition-colors" title="两两比较排名"><Swords size={16} /></button>
+                <button onClick={() => setShowUploadSettings(true)} className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-400 transition-colors" title="上传设置"><Settings size={16} /></button>
+                <button onClick={() => setTextItemModal({ editId: null })} className="bg-gray-700 hover:bg-gray-600 text-gray-200 px-4 py-2 rounded-lg flex items-center gap-2 transition-colors text-sm font-medium" title="添加只有名称的项目，可批量粘贴或读取 CSV"><Type size={16} /> 添加文字</button>
+                <label className="cursor-pointer bg-blue-600 hover:bg-blue-500 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-colors text-sm font-medium shadow-lg shadow-blue-900/20">
+                  <Upload size={16} /> 上传图片
+                  <input ref={fileInputRef} type="file" className="hidden" multiple accept="image/*" onChange={handleFileUpload} />
+                </label>
+              </div>
            </div>
            
            {(() => {
-              const realCount = sidebarImageIds.filter(id => id !== activeDragId).length;
+              const realCount = sidebarImageIds.filter(id => !draggedIds.includes(id)).length;
               return (
                  <div 
                    className={`min-h-[200px] bg-gray-800/50 rounded-xl border-2 border-dashed border-gray-700 p-4 transition-colors relative ${dropTarget?.tierId === 'sidebar' ? 'bg-gray-700/50' : ''}`}
                    onDragOver={(e) => handleDragOverContainer(e, 'sidebar', realCount)}
+                   data-drop-zone="sidebar"
+                   data-drop-count={realCount}
                  >
                     {realCount === 0 && !activeDragId && (
                        <div className="absolute inset-0 flex flex-col items-center justify-center text-gray-500 pointer-events-none">
@@ -776,8 +2274,13 @@ export default function TierListMaker() {
                           <p>暂无图片，请点击右上角上传或拖拽图片至此</p>
                        </div>
                     )}
+                    {realCount > 0 && filterActive && !activeDragId && poolMatchCount === 0 && (
+                       <div className="absolute inset-0 flex items-center justify-center text-gray-500 pointer-events-none">
+                          <p>没有符合筛选条件的图片</p>
+                       </div>
+                    )}
                     <div className="flex flex-wrap gap-2">
-                        {renderListItems('sidebar', sidebarImageIds)}
+                        <ItemList listId="sidebar" imageIds={sidebarImageIds} dropIndex={getDropIndex('sidebar')} virtualized={sidebarImageIds.length > POOL_VIRTUALIZE_THRESHOLD} {...itemListProps} />
                     </div>
                  </div>
               );
@@ -795,18 +2298,59 @@ export default function TierListMaker() {
                  if(!dragItemRef.current) return;
                  setDropTarget({ tierId: 'TRASH', index: 0 }); 
              }}
+             data-drop-zone="TRASH"
+             data-drop-count={0}
            >
               <Trash2 
                  size={32} 
                  className={`transition-all duration-300 ${dropTarget?.tierId === 'TRASH' ? 'text-red-500 scale-125' : 'text-gray-500'}`} 
               />
               <span className={`mt-2 text-sm font-medium transition-colors ${dropTarget?.tierId === 'TRASH' ? 'text-red-400' : 'text-gray-500'}`}>
-                 {dropTarget?.tierId === 'TRASH' ? '松手即可删除' : '拖拽至此删除图片'}
+                 {dropTarget?.tierId === 'TRASH' ? (dragMode === 'keyboard' ? '按空格键移入回收站' : '松手移入回收站') : '拖拽至此移入回收站'}
               </span>
+              <button
+                 onClick={() => setShowBin(true)}
+                 className="mt-3 text-xs px-3 py-1 rounded-full bg-gray-700 hover:bg-gray-600 text-gray-300 transition-colors"
+              >
+                 打开回收站 ({bin.length})
+              </button>
            </div>
         </div>
       </main>
 
+      {/* Touch drag preview, moved by the pointermove handler */}
+      {dragMode === 'pointer' && activeDragId && (
+        <div
+          ref={dragPreviewRef}
+          className="fixed top-0 left-0 w-20 h-20 z-[200] pointer-events-none opacity-80 shadow-2xl rounded-md"
+          style={{ transform: `translate(${pointerPosRef.current.x - 40}px, ${pointerPosRef.current.y - 40}px)` }}
+        >
+          <LazyImage cache={imageCache} id={activeDragId} edit={imageMeta[activeDragId]?.edit} alt="" eager className="w-full h-full rounded-md" />
+        </div>
+      )}
+
+      {/* Marquee selection rectangle */}
+      {marquee?.active && (
+        <div
+          className="fixed z-[200] pointer-events-none border border-sky-400 bg-sky-400/10"
+          style={{ left: Math.min(marquee.x1, marquee.x2), top: Math.min(marquee.y1, marquee.y2), width: Math.abs(marquee.x2 - marquee.x1), height: Math.abs(marquee.y2 - marquee.y1) }}
+        />
+      )}
+
+      {selection.length > 0 && !activeDragId && (
+        <SelectionBar
+          count={selection.length}
+          tiers={tiers}
+          onSendToTier={sendSelectionToTier}
+          onReturnToPool={returnSelectionToPool}
+          onTrash={trashSelection}
+          onClear={() => setSelectedIds([])}
+        />
+      )}
+
+      {/* Screen reader announcements for touch and keyboard drags */}
+      <div aria-live="assertive" className="sr-only">{announcement}</div>
+
       <footer className="p-6 text-center text-gray-600 text-sm mt-auto border-t border-gray-800">
         <p>Tier Maker Pro &copy; 2026 - Powered by IndexedDB</p>
       </footer>
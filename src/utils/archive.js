@@ -0,0 +1,164 @@
+// --- Zip Archive Utility ---
+// Minimal zip reader/writer for board archives. Entries are written with the
+// STORE method: images are already compressed, and referencing the original
+// blobs as parts of the result Blob keeps memory bounded to one image at a time
+// (only needed to compute its CRC-32).
+
+const SIG_LOCAL_FILE = 0x04034b50;
+const SIG_CENTRAL_DIR = 0x02014b50;
+const SIG_END_OF_CENTRAL_DIR = 0x06054b50;
+const FLAG_UTF8 = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32OfBlob = async (blob) => {
+  let crc = 0xffffffff;
+  const reader = blob.stream().getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    for (let i = 0; i < value.length; i++) crc = CRC_TABLE[(crc ^ value[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+export const isZipBlob = async (blob) => {
+  if (blob.size < 4) return false;
+  const head = new DataView(await blob.slice(0, 4).arrayBuffer());
+  return head.getUint32(0, true) === SIG_LOCAL_FILE;
+};
+
+// Collects entries one by one; finish() assembles the archive Blob
+export const createZipWriter = () => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  const addFile = async (name, data) => {
+    const blob = typeof data === 'string' ? new Blob([data]) : data;
+    const nameBytes = encoder.encode(name);
+    const crc = await crc32OfBlob(blob);
+    const { time, date } = toDosDateTime(new Date());
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, SIG_LOCAL_FILE, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, FLAG_UTF8, true);
+    header.setUint16(8, METHOD_STORE, true);
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, blob.size, true);
+    header.setUint32(22, blob.size, true);
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, SIG_CENTRAL_DIR, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, FLAG_UTF8, true);
+    entry.setUint16(10, METHOD_STORE, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, blob.size, true);
+    entry.setUint32(24, blob.size, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    centralDirectory.push(entry, nameBytes);
+
+    parts.push(header, nameBytes, blob);
+    offset += 30 + nameBytes.length + blob.size;
+  };
+
+  const finish = (type = 'application/zip') => {
+    const entryCount = centralDirectory.length / 2;
+    const centralSize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, SIG_END_OF_CENTRAL_DIR, true);
+    end.setUint16(8, entryCount, true);
+    end.setUint16(10, entryCount, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type });
+  };
+
+  return { addFile, finish };
+};
+
+// Reads the central directory only; entry data is sliced lazily from the source Blob
+export const openZip = async (blob) => {
+  const tailSize = Math.min(blob.size, 22 + 0xffff);
+  const tailStart = blob.size - tailSize;
+  const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+
+  let endOffset = -1;
+  for (let i = tailSize - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === SIG_END_OF_CENTRAL_DIR) { endOffset = i; break; }
+  }
+  if (endOffset < 0) throw new Error("Invalid zip: end of central directory not found");
+
+  const entryCount = tail.getUint16(endOffset + 10, true);
+  const centralSize = tail.getUint32(endOffset + 12, true);
+  const centralOffset = tail.getUint32(endOffset + 16, true);
+  const central = new DataView(await blob.slice(centralOffset, centralOffset + centralSize).arrayBuffer());
+
+  const decoder = new TextDecoder();
+  const entries = new Map();
+  let pos = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (central.getUint32(pos, true) !== SIG_CENTRAL_DIR) throw new Error("Invalid zip: corrupt central directory");
+    const nameLength = central.getUint16(pos + 28, true);
+    const extraLength = central.getUint16(pos + 30, true);
+    const commentLength = central.getUint16(pos + 32, true);
+    const name = decoder.decode(new Uint8Array(central.buffer, pos + 46, nameLength));
+    entries.set(name, {
+      method: central.getUint16(pos + 10, true),
+      compressedSize: central.getUint32(pos + 20, true),
+      localOffset: central.getUint32(pos + 42, true),
+    });
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+
+  const file = async (name, type = '') => {
+    const entry = entries.get(name);
+    if (!entry) return null;
+    const local = new DataView(await blob.slice(entry.localOffset, entry.localOffset + 30).arrayBuffer());
+    if (local.getUint32(0, true) !== SIG_LOCAL_FILE) throw new Error(`Invalid zip: bad local header for ${name}`);
+    const dataStart = entry.localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+    const data = blob.slice(dataStart, dataStart + entry.compressedSize, type);
+
+    if (entry.method === METHOD_STORE) return data;
+    if (entry.method === METHOD_DEFLATE) {
+      const inflated = await new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+      return type ? inflated.slice(0, inflated.size, type) : inflated;
+    }
+    throw new Error(`Unsupported zip compression method ${entry.method} for ${name}`);
+  };
+
+  const text = async (name) => {
+    const data = await file(name);
+    return data ? data.text() : null;
+  };
+
+  return { names: Array.from(entries.keys()), file, text };
+};
@@ -0,0 +1,195 @@
+import { normalizeEdit } from './image-edit.js';
+import { normalizeTextTile } from './text-items.js';
+
+// --- IndexedDB Utility ---
+export const DB_NAME = 'TierListDB_v15'; // Version bumped
+export const DB_VERSION = 2; // v2: boards (projects) stored side by side
+export const STORE_CONFIG = 'config';
+export const STORE_IMAGES = 'images';
+
+export const DEFAULT_PROJECT_ID = 'project_default';
+
+// Config records of a board are namespaced as "<projectId>:<key>"
+export const projectKey = (projectId, key) => `${projectId}:${key}`;
+const projectKeyRange = (projectId) => IDBKeyRange.bound(`${projectId}:`, `${projectId}:\uffff`);
+
+// Optional per-image metadata stored next to the blob: { id, projectId, blob, name, caption, notes, tags, edit, textTile }
+// (edit: crop/focus/rotate/fit, see image-edit.js; textTile: the style of a generated text item, see text-items.js)
+export const IMAGE_META_FIELDS = ['name', 'caption', 'notes', 'tags', 'edit', 'textTile'];
+export const pickImageMeta = (record) => {
+  const meta = {};
+  ['name', 'caption', 'notes'].forEach(field => {
+    if (typeof record?.[field] === 'string' && record[field]) meta[field] = record[field];
+  });
+  if (Array.isArray(record?.tags)) {
+    const tags = Array.from(new Set(record.tags.filter(tag => typeof tag === 'string').map(tag => tag.trim()).filter(Boolean)));
+    if (tags.length > 0) meta.tags = tags;
+  }
+  const edit = normalizeEdit(record?.edit);
+  if (edit) meta.edit = edit;
+  const textTile = normalizeTextTile(record?.textTile);
+  if (textTile) meta.textTile = textTile;
+  return meta;
+};
+
+export const createId = (prefix) => prefix + '_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+
+// v1 kept one global board under the fixed 'tiers' / 'sidebar' keys.
+// Move it into the default project so nothing is lost on upgrade.
+const migrateV1Board = (tx) => {
+  const images = tx.objectStore(STORE_IMAGES);
+  images.openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    if (!cursor.value.projectId) cursor.update({ ...cursor.value, projectId: DEFAULT_PROJECT_ID });
+    cursor.continue();
+  };
+
+  const config = tx.objectStore(STORE_CONFIG);
+  ['tiers', 'sidebar'].forEach((key) => {
+    config.get(key).onsuccess = (event) => {
+      const record = event.target.result;
+      if (!record) return;
+      config.put({ id: projectKey(DEFAULT_PROJECT_ID, key), data: record.data });
+      config.delete(key);
+    };
+  });
+};
+
+export const initDB = () => {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onerror = (event) => reject(event.target.error);
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      const tx = event.target.transaction;
+      if (!db.objectStoreNames.contains(STORE_CONFIG)) {
+        db.createObjectStore(STORE_CONFIG, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(STORE_IMAGES)) {
+        db.createObjectStore(STORE_IMAGES, { keyPath: 'id' });
+      }
+      const images = tx.objectStore(STORE_IMAGES);
+      if (!images.indexNames.contains('projectId')) {
+        images.createIndex('projectId', 'projectId', { unique: false });
+      }
+      if (event.oldVersion === 1) migrateV1Board(tx);
+    };
+    request.onsuccess = (event) => resolve(event.target.result);
+  });
+};
+
+export const dbOperate = async (storeName, mode, callback) => {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([storeName], mode);
+    const store = transaction.objectStore(storeName);
+    const request = callback(store);
+
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = (event) => reject(event.target.error);
+  });
+};
+
+const waitForTransaction = (tx) => {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = (event) => reject(event.target.error);
+    tx.onabort = (event) => reject(event.target.error);
+  });
+};
+
+// --- Project (Board) Helpers ---
+export const getProjectImages = (projectId) => {
+  return dbOperate(STORE_IMAGES, 'readonly', (store) => store.index('projectId').getAll(projectId));
+};
+
+export const updateImageMeta = async (id, meta) => {
+  const db = await initDB();
+  const tx = db.transaction([STORE_IMAGES], 'readwrite');
+  const store = tx.objectStore(STORE_IMAGES);
+  store.get(id).onsuccess = (event) => {
+    const record = event.target.result;
+    if (!record) return;
+    const next = { ...record };
+    IMAGE_META_FIELDS.forEach(field => delete next[field]);
+    store.put({ ...next, ...pickImageMeta(meta) });
+  };
+  await waitForTransaction(tx);
+};
+
+export const deleteImages = async (ids) => {
+  if (ids.length === 0) return;
+  const db = await initDB();
+  const tx = db.transaction([STORE_IMAGES], 'readwrite');
+  ids.forEach(id => tx.objectStore(STORE_IMAGES).delete(id));
+  await waitForTransaction(tx);
+};
+
+export const getProjectImageIds = (projectId) => {
+  return dbOperate(STORE_IMAGES, 'readonly', (store) => store.index('projectId').getAllKeys(projectId));
+};
+
+export const deleteProjectConfig = (projectId) => {
+  return dbOperate(STORE_CONFIG, 'readwrite', (store) => store.delete(projectKeyRange(projectId)));
+};
+
+// Removes every image and config record that belongs to one board
+export const deleteProjectData = async (projectId) => {
+  const db = await initDB();
+  const tx = db.transaction([STORE_CONFIG, STORE_IMAGES], 'readwrite');
+  tx.objectStore(STORE_CONFIG).delete(projectKeyRange(projectId));
+  tx.objectStore(STORE_IMAGES).index('projectId').openKeyCursor(projectId).onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    tx.objectStore(STORE_IMAGES).delete(cursor.primaryKey);
+    cursor.continue();
+  };
+  await waitForTransaction(tx);
+};
+
+// Copies a board into another project: tiers, pool, recycle bin, snapshots,
+// folded rows and every image they reference. Image ids are global keys of the
+// images store, so every copied image gets a fresh id. Left behind: images only
+// kept alive by undo history and an unfinished head-to-head session.
+export const copyProjectData = async (fromProjectId, toProjectId) => {
+  const readKey = (key) => dbOperate(STORE_CONFIG, 'readonly', (store) => store.get(projectKey(fromProjectId, key)));
+  const [tiersRecord, sidebarRecord, binRecord, snapshotsRecord, collapsedRecord] = await Promise.all(
+    ['tiers', 'sidebar', 'bin', 'snapshots', 'collapsed'].map(readKey)
+  );
+  const boardIds = (board) => [...(board.sidebarImageIds || []), ...(board.tiers || []).flatMap(t => t.imageIds)];
+  const referencedIds = new Set([
+    ...boardIds({ tiers: tiersRecord?.data, sidebarImageIds: sidebarRecord?.data }),
+    ...(binRecord?.data || []).map(entry => entry.id),
+    ...(snapshotsRecord?.data || []).flatMap(boardIds),
+  ]);
+  const images = (await getProjectImages(fromProjectId)).filter(img => referencedIds.has(img.id));
+
+  const idMap = {};
+  images.forEach(img => { idMap[img.id] = createId('img'); });
+  const remap = (ids) => ids.filter(id => idMap[id]).map(id => idMap[id]);
+  const remapTiers = (tiers) => tiers.map(t => ({ ...t, imageIds: remap(t.imageIds) }));
+
+  const db = await initDB();
+  const tx = db.transaction([STORE_CONFIG, STORE_IMAGES], 'readwrite');
+  const putKey = (key, data) => tx.objectStore(STORE_CONFIG).put({ id: projectKey(toProjectId, key), data });
+  images.forEach(img => {
+    tx.objectStore(STORE_IMAGES).put({ ...img, id: idMap[img.id], projectId: toProjectId });
+  });
+  if (tiersRecord) putKey('tiers', remapTiers(tiersRecord.data));
+  if (sidebarRecord) putKey('sidebar', remap(sidebarRecord.data));
+  if (binRecord) {
+    putKey('bin', binRecord.data.filter(entry => idMap[entry.id]).map(entry => ({ ...entry, id: idMap[entry.id] })));
+  }
+  if (snapshotsRecord) {
+    putKey('snapshots', snapshotsRecord.data.map(snapshot => ({
+      ...snapshot,
+      id: createId('snapshot'),
+      tiers: remapTiers(snapshot.tiers),
+      sidebarImageIds: remap(snapshot.sidebarImageIds),
+    })));
+  }
+  // Tier ids are kept, so the folded rows still match
+  if (collapsedRecord) putKey('collapsed', collapsedRecord.data);
+  await waitForTransaction(tx);
+};
@@ -0,0 +1,76 @@
+// --- Images From Other Pages ---
+// Clipboard pastes and drags from other tabs arrive either as files or as URLs
+// (data: URLs, or http(s) links to the image). URLs are fetched into Files so
+// they can go through the normal upload pipeline.
+
+const PASTED_NAME = '粘贴的图片';
+const DROPPED_NAME = '拖入的图片';
+
+const isImageUrl = (text) => /^data:image\//i.test(text) || /^https?:\/\//i.test(text);
+// Plain text is only taken when it clearly is an image, so pasting an ordinary link does nothing
+const isImageLinkText = (text) => /^data:image\//i.test(text) || /^https?:\/\/\S+\.(png|jpe?g|gif|webp|avif|bmp|svg)(\?\S*)?$/i.test(text);
+
+// <img src> from an HTML payload; browsers put the dragged/copied image there
+const getHtmlImageUrls = (html) => {
+  if (!html) return [];
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return Array.from(doc.images, img => img.getAttribute('src')).filter(src => src && isImageUrl(src));
+};
+
+const getUriList = (text) => (text || '').split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#') && isImageUrl(line));
+
+// For a linked image the uri-list holds the link target, so the <img src> is tried first
+const getImageUrls = (dataTransfer) => {
+  const fromHtml = getHtmlImageUrls(dataTransfer.getData('text/html'));
+  if (fromHtml.length > 0) return Array.from(new Set(fromHtml));
+  const fromUriList = getUriList(dataTransfer.getData('text/uri-list'));
+  if (fromUriList.length > 0) return fromUriList;
+  const text = dataTransfer.getData('text/plain').trim();
+  return isImageLinkText(text) ? [text] : [];
+};
+
+// Clipboard files are all called "image.png"; give them a friendlier default name
+const renameFile = (file, name) => new File([file], `${name}.${file.type.split('/')[1] || 'png'}`, { type: file.type });
+
+// Returns { files, urls } from a paste event's clipboardData
+export const readClipboardImages = (clipboardData) => {
+  if (!clipboardData) return { files: [], urls: [] };
+  const files = Array.from(clipboardData.items || [])
+    .filter(item => item.kind === 'file' && item.type.startsWith('image/'))
+    .map(item => item.getAsFile())
+    .filter(Boolean)
+    .map(file => renameFile(file, PASTED_NAME));
+  return { files, urls: files.length > 0 ? [] : getImageUrls(clipboardData) };
+};
+
+// URLs from a drop that carried no files (e.g. an image dragged out of another tab)
+export const readDroppedImageUrls = (dataTransfer) => (dataTransfer ? getImageUrls(dataTransfer) : []);
+
+// Short label for a URL in the upload panel
+export const describeImageUrl = (url) => {
+  if (/^data:/i.test(url)) return DROPPED_NAME;
+  try {
+    const { hostname, pathname } = new URL(url);
+    return decodeURIComponent(pathname.split('/').pop() || '') || hostname;
+  } catch {
+    return url;
+  }
+};
+
+// Throws an Error with a user-facing message when the image can't be read
+export const fetchImageFile = async (url) => {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch {
+    // fetch only rejects without detail; for http(s) URLs this is almost always CORS
+    const host = /^https?:/i.test(url) ? new URL(url).hostname : '';
+    throw new Error(host
+      ? `${host} 不允许其他网站读取这张图片（跨域限制）。请先把图片保存到本地或复制图片本身，再上传或粘贴。`
+      : '无法读取这张图片');
+  }
+  if (!response.ok) throw new Error(`下载失败 (HTTP ${response.status})`);
+  const blob = await response.blob();
+  if (!blob.type.startsWith('image/')) throw new Error('链接指向的不是图片');
+  return renameFile(blob, describeImageUrl(url).replace(/\.[^.]+$/, ''));
+};
@@ -0,0 +1,159 @@
+import { createId, pickImageMeta } from './db.js';
+import { readSaveFile } from './save-file.js';
+import { SCHEMA_FORMAT, SCHEMA_VERSION, migrateState, repairState } from './save-schema.js';
+import { hashBlob } from './image-pipeline.js';
+
+// --- Group Ranking ---
+// Several people rank the same images and export their boards; this combines them.
+// Images are matched across files by content hash, or by id when hashes differ.
+// Positions are measured on the tiers of the first file (the reference): 0 is the
+// top tier. A tier with the same label as a reference tier takes its position;
+// otherwise its index is scaled onto the reference (e.g. tier 2 of 3 → the middle).
+// Images left in a pool count as not ranked by that person.
+
+const normalizeLabel = (label) => label.trim().toLowerCase();
+
+// Returns { id, name, tiers, sidebarImageIds, imageIds, imageMeta, hashes, loadImage }.
+// Throws an Error with a user-facing message.
+export const readRanking = async (file) => {
+  let saveFile;
+  try {
+    saveFile = await readSaveFile(file);
+  } catch {
+    throw new Error('文件无法解析，格式可能已损坏');
+  }
+  const { state, errors } = migrateState(saveFile.state);
+  if (!state) throw new Error(errors[0]);
+  const board = repairState(state, saveFile.imageIds);
+  // Positions are measured on tiers, so a ranking needs at least one
+  if (board.tiers.length === 0) throw new Error('存档中没有评级行');
+
+  // Archives carry the upload hash; legacy files have to be hashed here
+  const hashes = {};
+  for (const id of saveFile.imageIds) {
+    hashes[id] = saveFile.imageHashes[id] || await hashBlob(await saveFile.loadImage(id));
+  }
+
+  return {
+    id: createId('ranking'),
+    name: file.name.replace(/\.[^.]+$/, ''),
+    tiers: board.tiers,
+    sidebarImageIds: board.sidebarImageIds,
+    imageIds: saveFile.imageIds,
+    imageMeta: saveFile.imageMeta,
+    hashes,
+    loadImage: saveFile.loadImage,
+  };
+};
+
+// Returns [{ hash, meta, sources: [{ ranking, id }] }]; `ranking` is an index into rankings.
+// An image never matches two images of the same file.
+export const matchItems = (rankings) => {
+  const items = [];
+  const byHash = new Map();
+  const byId = new Map();
+
+  rankings.forEach((ranking, r) => {
+    ranking.imageIds.forEach(id => {
+      const hash = ranking.hashes[id];
+      let index = byHash.get(hash) ?? byId.get(id);
+      if (index === undefined || items[index].sources.some(source => source.ranking === r)) {
+        index = items.length;
+        items.push({ hash, meta: {}, sources: [] });
+      }
+      const item = items[index];
+      item.sources.push({ ranking: r, id });
+      item.meta = { ...pickImageMeta(ranking.imageMeta[id]), ...item.meta };
+      if (!byHash.has(hash)) byHash.set(hash, index);
+      if (!byId.has(id)) byId.set(id, index);
+    });
+  });
+  return items;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Position of every tier of `ranking` on the reference scale
+const tierPositions = (ranking, reference) => {
+  const referenceIndex = new Map(reference.tiers.map((tier, index) => [normalizeLabel(tier.label), index]));
+  const last = reference.tiers.length - 1;
+  return new Map(ranking.tiers.map((tier, index) => {
+    const scaled = ranking.tiers.length > 1 ? (index / (ranking.tiers.length - 1)) * last : 0;
+    return [tier.id, referenceIndex.get(normalizeLabel(tier.label)) ?? scaled];
+  }));
+};
+
+// Adds to each matched item:
+//   placements: per ranking, { position, tier } or null (not ranked / not in that file)
+//   mean, median, spread (max - min position), rated (how many placed it)
+export const computeGroupStats = (rankings, items) => {
+  const reference = rankings[0];
+  const locations = rankings.map(ranking => {
+    const positions = tierPositions(ranking, reference);
+    const location = new Map();
+    ranking.tiers.forEach(tier => tier.imageIds.forEach(id => location.set(id, { position: positions.get(tier.id), tier })));
+    return location;
+  });
+
+  return items.map(item => {
+    const placements = rankings.map((_, r) => {
+      const source = item.sources.find(s => s.ranking === r);
+      return (source && locations[r].get(source.id)) || null;
+    });
+    const positions = placements.filter(Boolean).map(p => p.position);
+    if (positions.length === 0) return { ...item, placements, rated: 0, mean: null, median: null, spread: 0 };
+    return {
+      ...item,
+      placements,
+      rated: positions.length,
+      mean: positions.reduce((sum, p) => sum + p, 0) / positions.length,
+      median: median(positions),
+      spread: Math.max(...positions) - Math.min(...positions),
+    };
+  });
+};
+
+// Reference tier an aggregate position rounds to
+export const consensusTierIndex = (reference, value) => Math.min(reference.tiers.length - 1, Math.max(0, Math.round(value)));
+
+// Consensus board on the reference tiers, by 'median' or 'mean'; unranked items go to the pool.
+// Returns { tiers: [{ ...tier, items: number[] }], pool: number[] } with indexes into stats.
+export const buildConsensus = (rankings, stats, by) => {
+  const reference = rankings[0];
+  const tiers = reference.tiers.map(tier => ({ ...tier, items: [] }));
+  const pool = [];
+  stats
+    .map((item, index) => ({ index, value: item[by] }))
+    .sort((a, b) => (a.value ?? Infinity) - (b.value ?? Infinity))
+    .forEach(({ index, value }) => {
+      if (value === null) pool.push(index);
+      else tiers[consensusTierIndex(reference, value)].items.push(index);
+    });
+  return { tiers, pool };
+};
+
+// The consensus as the { state, imageIds, imageMeta, imageHashes, loadImage } readSaveFile
+// returns, so it becomes a board through the regular import review
+export const consensusToSaveFile = (rankings, stats, consensus) => {
+  const ids = stats.map(() => createId('img'));
+  const pick = (indexes) => indexes.map(index => ids[index]);
+  return {
+    state: {
+      format: SCHEMA_FORMAT,
+      version: SCHEMA_VERSION,
+      tiers: consensus.tiers.map(({ label, color, items }) => ({ id: createId('tier'), label, color, imageIds: pick(items) })),
+      sidebarImageIds: pick(consensus.pool),
+    },
+    imageIds: ids,
+    imageMeta: Object.fromEntries(ids.map((id, index) => [id, stats[index].meta])),
+    imageHashes: Object.fromEntries(ids.map((id, index) => [id, stats[index].hash])),
+    loadImage: (id) => {
+      const { ranking, id: sourceId } = stats[ids.indexOf(id)].sources[0];
+      return rankings[ranking].loadImage(sourceId);
+    },
+  };
+};
@@ -0,0 +1,102 @@
+import { STORE_IMAGES, dbOperate } from './db.js';
+import { renderEditedBlob } from './image-edit.js';
+import { THUMB_SIZE } from './image-pipeline.js';
+
+// --- Lazy Image URLs ---
+// Blobs stay in IndexedDB until something needs them; the object URL is then
+// kept until the board is unloaded (clear) or the image goes away (drop).
+// Subscribers are notified whenever a URL appears or is released.
+// Variants:
+//   'thumb'        - small board variant (the full image for records without one)
+//   'full'         - the stored blob, for export and editing
+//   'edited'       - the full image with its crop/rotate edit baked in
+//   'edited-thumb' - the same rendition at thumbnail size, for the board
+const VARIANTS = ['thumb', 'full', 'edited', 'edited-thumb'];
+export const EDITED_VARIANTS = ['edited', 'edited-thumb'];
+
+export const createImageCache = () => {
+  const urls = new Map(); // "<id>:<variant>" -> object URL
+  const pending = new Map(); // "<id>:<variant>" -> Promise<url | null>
+  const listeners = new Set();
+
+  // Renditions are keyed by their edit as well, so changing an edit never shows a stale one
+  const keyOf = (id, variant, edit) => (EDITED_VARIANTS.includes(variant) ? `${id}:${variant}:${JSON.stringify(edit)}` : `${id}:${variant}`);
+  const notify = () => listeners.forEach(listener => listener());
+
+  const get = (id, variant, edit) => urls.get(keyOf(id, variant, edit));
+
+  const put = (key, blob) => {
+    const url = URL.createObjectURL(blob);
+    urls.set(key, url);
+    notify();
+    return url;
+  };
+
+  const readBlob = async (id, variant, edit) => {
+    if (variant === 'edited') {
+      const fullUrl = await load(id, 'full');
+      return fullUrl ? renderEditedBlob(fullUrl, edit) : null;
+    }
+    const record = await dbOperate(STORE_IMAGES, 'readonly', (store) => store.get(id));
+    if (variant === 'edited-thumb') {
+      // Rendered from the full image, which is released again instead of cached
+      if (!record?.blob) return null;
+      const fullUrl = URL.createObjectURL(record.blob);
+      try {
+        return await renderEditedBlob(fullUrl, edit, THUMB_SIZE);
+      } finally {
+        URL.revokeObjectURL(fullUrl);
+      }
+    }
+    return variant === 'thumb' ? record?.thumb || record?.blob : record?.blob;
+  };
+
+  // Resolves to the object URL, or null when the image no longer exists
+  const load = (id, variant, edit) => {
+    const key = keyOf(id, variant, edit);
+    if (urls.has(key)) return Promise.resolve(urls.get(key));
+    if (!pending.has(key)) {
+      // A load that was dropped or cleared meanwhile is discarded
+      const promise = readBlob(id, variant, edit)
+        .then(blob => (blob && pending.get(key) === promise ? put(key, blob) : null))
+        .catch(err => {
+          console.error("Image load failed", id, variant, err);
+          return null;
+        })
+        .finally(() => {
+          if (pending.get(key) === promise) pending.delete(key);
+        });
+      pending.set(key, promise);
+    }
+    return pending.get(key);
+  };
+
+  // Releases the given variants of an image (every rendition, for the edited ones)
+  const drop = (id, variants = VARIANTS) => {
+    const prefixes = variants.map(variant => `${id}:${variant}`);
+    const matches = (key) => prefixes.some(prefix => key === prefix || key.startsWith(`${prefix}:`));
+    urls.forEach((url, key) => {
+      if (!matches(key)) return;
+      URL.revokeObjectURL(url);
+      urls.delete(key);
+    });
+    pending.forEach((_, key) => {
+      if (matches(key)) pending.delete(key);
+    });
+    notify();
+  };
+
+  const clear = () => {
+    urls.forEach(url => URL.revokeObjectURL(url));
+    urls.clear();
+    pending.clear();
+    notify();
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { get, load, drop, clear, subscribe };
+};
@@ -0,0 +1,119 @@
+// --- Non-destructive Image Edits ---
+// Stored as `edit` next to the original blob in the images store:
+//   {
+//     crop: { x, y, width, height } | null, // fractions of the rotated image
+//     focus: { x, y },                      // fractions of the cropped image (object-position)
+//     rotate: 0 | 90 | 180 | 270,           // clockwise, applied before the crop
+//     fit: 'cover' | 'contain',
+//     background: '#rrggbb',                // fills the gaps left by 'contain'
+//   }
+// Rotation and crop need pixels, so they are baked into an in-memory rendition;
+// fit, focus and background are applied wherever the image is drawn.
+
+export const DEFAULT_EDIT = {
+  crop: null,
+  focus: { x: 0.5, y: 0.5 },
+  rotate: 0,
+  fit: 'cover',
+  background: '#111827',
+};
+
+const MIN_CROP = 0.02;
+const RENDITION_TYPE = 'image/webp';
+const RENDITION_QUALITY = 0.92;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const isFraction = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Returns a complete, valid edit, or null when it matches DEFAULT_EDIT
+export const normalizeEdit = (raw) => {
+  if (!raw || typeof raw !== 'object') return null;
+
+  let crop = null;
+  const c = raw.crop;
+  if (c && [c.x, c.y, c.width, c.height].every(isFraction)) {
+    const x = clamp01(c.x);
+    const y = clamp01(c.y);
+    const width = Math.min(1 - x, c.width);
+    const height = Math.min(1 - y, c.height);
+    const isWhole = x === 0 && y === 0 && width >= 1 && height >= 1;
+    if (width >= MIN_CROP && height >= MIN_CROP && !isWhole) crop = { x, y, width, height };
+  }
+
+  const focus = raw.focus && isFraction(raw.focus.x) && isFraction(raw.focus.y)
+    ? { x: clamp01(raw.focus.x), y: clamp01(raw.focus.y) }
+    : DEFAULT_EDIT.focus;
+  const rotate = [0, 90, 180, 270].includes(raw.rotate) ? raw.rotate : 0;
+  const fit = raw.fit === 'contain' ? 'contain' : 'cover';
+  const background = typeof raw.background === 'string' && /^#[0-9a-f]{6}$/i.test(raw.background) ? raw.background : DEFAULT_EDIT.background;
+
+  const edit = { crop, focus, rotate, fit, background };
+  const isDefault = !crop && rotate === 0 && fit === 'cover' && focus.x === 0.5 && focus.y === 0.5 && background === DEFAULT_EDIT.background;
+  return isDefault ? null : edit;
+};
+
+// Whether the edit changes pixels and therefore needs a rendition
+export const needsRendition = (edit) => Boolean(edit && (edit.crop || edit.rotate));
+
+// CSS for an <img> drawn with the edit; matches drawImageFitted below
+export const getFitStyle = (edit) => {
+  const { fit, focus, background } = edit || DEFAULT_EDIT;
+  return {
+    objectFit: fit,
+    objectPosition: `${focus.x * 100}% ${focus.y * 100}%`,
+    backgroundColor: fit === 'contain' ? background : undefined,
+  };
+};
+
+const loadImage = (src) => {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Image failed to load'));
+    img.src = src;
+  });
+};
+
+// Draws `src` rotated and cropped onto a fresh canvas, at full resolution unless
+// `maxSize` caps the longer side (board thumbnails)
+export const renderEditedCanvas = async (src, edit, maxSize = Infinity) => {
+  const img = await loadImage(src);
+  const { rotate = 0, crop = null } = edit || {};
+  const turned = rotate === 90 || rotate === 270;
+  const rotatedWidth = turned ? img.naturalHeight : img.naturalWidth;
+  const rotatedHeight = turned ? img.naturalWidth : img.naturalHeight;
+  const area = crop || { x: 0, y: 0, width: 1, height: 1 };
+  const scale = Math.min(1, maxSize / Math.max(area.width * rotatedWidth, area.height * rotatedHeight));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(area.width * rotatedWidth * scale));
+  canvas.height = Math.max(1, Math.round(area.height * rotatedHeight * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+  ctx.translate(-area.x * rotatedWidth, -area.y * rotatedHeight);
+  ctx.translate(rotatedWidth / 2, rotatedHeight / 2);
+  ctx.rotate((rotate * Math.PI) / 180);
+  ctx.drawImage(img, -img.naturalWidth / 2, -img.naturalHeight / 2);
+  return canvas;
+};
+
+export const renderEditedBlob = async (src, edit, maxSize) => {
+  const canvas = await renderEditedCanvas(src, edit, maxSize);
+  return new Promise((resolve) => canvas.toBlob(resolve, RENDITION_TYPE, RENDITION_QUALITY));
+};
+
+// Canvas equivalent of getFitStyle inside a w x h box
+export const drawImageFitted = (ctx, img, x, y, w, h, edit) => {
+  const { fit, focus, background } = edit || DEFAULT_EDIT;
+  const ratio = fit === 'contain'
+    ? Math.min(w / img.naturalWidth, h / img.naturalHeight)
+    : Math.max(w / img.naturalWidth, h / img.naturalHeight);
+  const drawWidth = img.naturalWidth * ratio;
+  const drawHeight = img.naturalHeight * ratio;
+  if (fit === 'contain') {
+    ctx.fillStyle = background;
+    ctx.fillRect(x, y, w, h);
+  }
+  // object-position semantics: the focus fraction of the free space goes before the image
+  ctx.drawImage(img, x + (w - drawWidth) * focus.x, y + (h - drawHeight) * focus.y, drawWidth, drawHeight);
+};
@@ -0,0 +1,119 @@
+// --- Upload Pipeline ---
+// Every uploaded file is hashed (for duplicate detection), optionally downscaled
+// and re-encoded, and stored as two variants: the full image (`blob`, used for
+// export and editing) and a small `thumb` for the board.
+
+export const UPLOAD_FORMATS = {
+  original: { mime: null, label: '保持原格式' },
+  webp: { mime: 'image/webp', label: 'WebP' },
+  jpeg: { mime: 'image/jpeg', label: 'JPEG' },
+};
+
+export const DEFAULT_UPLOAD_SETTINGS = {
+  resize: true,
+  maxDimension: 2048, // longest side in px
+  format: 'webp', // key of UPLOAD_FORMATS
+  quality: 0.85,
+};
+
+export const MAX_DIMENSION_RANGE = { min: 256, max: 8192 };
+
+// Anything else than a finite number (an emptied input, an old record) falls back to the default
+export const clampMaxDimension = (value) => (Number.isFinite(value) && value > 0
+  ? Math.round(Math.min(MAX_DIMENSION_RANGE.max, Math.max(MAX_DIMENSION_RANGE.min, value)))
+  : DEFAULT_UPLOAD_SETTINGS.maxDimension);
+
+// Saved settings are merged over the defaults and repaired field by field
+export const normalizeUploadSettings = (raw) => {
+  const settings = { ...DEFAULT_UPLOAD_SETTINGS, ...raw };
+  return {
+    resize: Boolean(settings.resize),
+    maxDimension: clampMaxDimension(Number(settings.maxDimension)),
+    format: UPLOAD_FORMATS[settings.format] ? settings.format : DEFAULT_UPLOAD_SETTINGS.format,
+    quality: Number.isFinite(settings.quality) ? Math.min(1, Math.max(0.5, settings.quality)) : DEFAULT_UPLOAD_SETTINGS.quality,
+  };
+};
+
+// 3x the 80px board thumbnail, so it stays sharp on high-DPI screens
+export const THUMB_SIZE = 240;
+const THUMB_TYPE = 'image/webp';
+const THUMB_QUALITY = 0.8;
+
+// Re-encoding would lose the animation or the vector data
+const KEEP_AS_IS_TYPES = ['image/gif', 'image/svg+xml'];
+
+export const hashBlob = async (blob) => {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const decodeImage = (blob) => {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('无法解码图片，文件可能已损坏或格式不受支持'));
+    };
+    img.src = url;
+  });
+};
+
+const encode = (img, maxSide, type, quality) => {
+  const scale = Math.min(1, maxSide / Math.max(img.naturalWidth, img.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+  const ctx = canvas.getContext('2d');
+  // JPEG has no alpha; transparent areas would otherwise turn black
+  if (type === 'image/jpeg') {
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('图片编码失败'))), type, quality);
+  });
+};
+
+export const createThumbnail = async (blob) => {
+  const img = await decodeImage(blob);
+  return encode(img, THUMB_SIZE, THUMB_TYPE, THUMB_QUALITY);
+};
+
+// Small image for a tier label, as a data: URL so it can live in the tier config
+export const createIconDataUrl = async (blob, size = 96) => {
+  const img = await decodeImage(blob);
+  const icon = await encode(img, size, THUMB_TYPE, THUMB_QUALITY);
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('图片读取失败'));
+    reader.readAsDataURL(icon);
+  });
+};
+
+// Returns { full, thumb }. Throws an Error with a user-facing message.
+export const processImage = async (file, settings = DEFAULT_UPLOAD_SETTINGS) => {
+  if (!file.type.startsWith('image/')) throw new Error('不是图片文件');
+  const img = await decodeImage(file);
+  const thumb = await encode(img, THUMB_SIZE, THUMB_TYPE, THUMB_QUALITY);
+
+  const longestSide = Math.max(img.naturalWidth, img.naturalHeight);
+  const maxDimension = clampMaxDimension(settings.maxDimension);
+  const tooLarge = settings.resize && longestSide > maxDimension;
+  const targetType = UPLOAD_FORMATS[settings.format]?.mime || file.type;
+  if (KEEP_AS_IS_TYPES.includes(file.type) || (!tooLarge && targetType === file.type)) {
+    return { full: file, thumb };
+  }
+
+  const full = await encode(img, tooLarge ? maxDimension : longestSide, targetType, settings.quality);
+  // Browsers without an encoder for the type silently fall back to PNG; keep
+  // the original rather than bloat it, unless it had to shrink
+  if (!tooLarge && full.size >= file.size) return { full: file, thumb };
+  return { full, thumb };
+};
@@ -0,0 +1,15 @@
+// --- Search & Filter ---
+// filter: { query, tag, status: 'all' | 'placed' | 'unplaced' }
+export const EMPTY_FILTER = { query: '', tag: '', status: 'all' };
+
+export const isFilterActive = (filter) => Boolean(filter.query.trim() || filter.tag || filter.status !== 'all');
+
+// `isPlaced`: the image sits in a tier rather than the pool
+export const matchesFilter = (meta = {}, isPlaced, filter) => {
+  if (filter.status === 'placed' && !isPlaced) return false;
+  if (filter.status === 'unplaced' && isPlaced) return false;
+  if (filter.tag && !(meta.tags || []).includes(filter.tag)) return false;
+  const query = filter.query.trim().toLowerCase();
+  if (query && ![meta.name, meta.caption].some(text => text?.toLowerCase().includes(query))) return false;
+  return true;
+};
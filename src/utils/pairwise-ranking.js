@@ -0,0 +1,125 @@
+// --- Head-to-Head Ranking ---
+// Builds an ordering of images from "which is better?" answers, two at a time.
+// A session is plain data, saved after every answer so it can be resumed:
+//   sort: binary insertion sort, about n·log2(n) comparisons for a full order
+//     { method: 'sort', itemIds, comparisons, order (best first), pending, low, high }
+//     pending[0] is being inserted into order[low..high)
+//   elo:  Elo ratings over a fixed number of comparisons, pairing close ratings
+//     { method: 'elo', itemIds, comparisons, rounds, ratings, counts, pair }
+// Sessions are immutable; answer() returns the next one.
+export const PAIRWISE_METHODS = {
+  sort: { label: '排序（精确）', description: '二分插入排序，得到完整的先后顺序，每张图片约需 log₂(n) 次比较。' },
+  elo: { label: 'Elo 评分（快速）', description: '固定比较次数，每次让评分相近的两张图片对决，适合图片很多的情况。' },
+};
+export const ELO_ROUNDS_PER_ITEM = 3;
+const ELO_START = 1500;
+const ELO_K = 32;
+
+const pickRandom = (list) => list[Math.floor(Math.random() * list.length)];
+
+// The least compared image against one of the closest rated others
+const pickEloPair = (itemIds, ratings, counts) => {
+  if (itemIds.length < 2) return null;
+  const fewest = Math.min(...itemIds.map(id => counts[id]));
+  const first = pickRandom(itemIds.filter(id => counts[id] === fewest));
+  const closest = itemIds
+    .filter(id => id !== first)
+    .sort((a, b) => Math.abs(ratings[a] - ratings[first]) - Math.abs(ratings[b] - ratings[first]) || counts[a] - counts[b])
+    .slice(0, 3);
+  return Math.random() < 0.5 ? [first, pickRandom(closest)] : [pickRandom(closest), first];
+};
+
+const startInsertion = (session) => {
+  const { order, pending } = session;
+  if (order.length === 0 && pending.length > 0) {
+    return { ...session, order: [pending[0]], pending: pending.slice(1), low: 0, high: 1 };
+  }
+  return { ...session, low: 0, high: order.length };
+};
+
+export const createSession = (method, itemIds, { rounds = itemIds.length * ELO_ROUNDS_PER_ITEM } = {}) => {
+  if (method === 'elo') {
+    const ratings = Object.fromEntries(itemIds.map(id => [id, ELO_START]));
+    const counts = Object.fromEntries(itemIds.map(id => [id, 0]));
+    return { method, itemIds, comparisons: 0, rounds, ratings, counts, pair: pickEloPair(itemIds, ratings, counts) };
+  }
+  return startInsertion({ method: 'sort', itemIds, comparisons: 0, order: [], pending: itemIds });
+};
+
+export const isSessionDone = (session) => (session.method === 'elo'
+  ? session.comparisons >= session.rounds || !session.pair
+  : session.pending.length === 0);
+
+// [left, right] to show next, or null once done
+export const nextPair = (session) => {
+  if (isSessionDone(session)) return null;
+  if (session.method === 'elo') return session.pair;
+  return [session.pending[0], session.order[Math.floor((session.low + session.high) / 2)]];
+};
+
+export const answer = (session, winnerId) => {
+  const pair = nextPair(session);
+  if (!pair || !pair.includes(winnerId)) return session;
+  const comparisons = session.comparisons + 1;
+
+  if (session.method === 'elo') {
+    const loserId = pair.find(id => id !== winnerId);
+    const expected = 1 / (1 + 10 ** ((session.ratings[loserId] - session.ratings[winnerId]) / 400));
+    const ratings = { ...session.ratings, [winnerId]: session.ratings[winnerId] + ELO_K * (1 - expected), [loserId]: session.ratings[loserId] - ELO_K * (1 - expected) };
+    const counts = { ...session.counts, [winnerId]: session.counts[winnerId] + 1, [loserId]: session.counts[loserId] + 1 };
+    return { ...session, comparisons, ratings, counts, pair: pickEloPair(session.itemIds, ratings, counts) };
+  }
+
+  const [current] = pair;
+  const mid = Math.floor((session.low + session.high) / 2);
+  // order is best first: a win moves the insertion point up
+  const low = winnerId === current ? session.low : mid + 1;
+  const high = winnerId === current ? mid : session.high;
+  if (low < high) return { ...session, comparisons, low, high };
+
+  const order = [...session.order.slice(0, low), current, ...session.order.slice(low)];
+  return startInsertion({ ...session, comparisons, order, pending: session.pending.slice(1) });
+};
+
+// { done, total } in comparisons; for the sort, total is an estimate
+export const sessionProgress = (session) => {
+  if (session.method === 'elo') return { done: session.comparisons, total: Math.max(session.rounds, session.comparisons) };
+  let remaining = session.pending.length ? Math.ceil(Math.log2(session.high - session.low + 1)) : 0;
+  for (let size = session.order.length + 1; size < session.order.length + session.pending.length; size++) {
+    remaining += Math.ceil(Math.log2(size + 1));
+  }
+  return { done: session.comparisons, total: session.comparisons + remaining };
+};
+
+// Best first. An unfinished sort lists the images it has not placed yet last.
+export const sessionRanking = (session) => (session.method === 'elo'
+  ? [...session.itemIds].sort((a, b) => session.ratings[b] - session.ratings[a])
+  : [...session.order, ...session.pending]);
+
+// Drops images that are no longer in the pool; the same session when nothing is missing
+export const pruneSession = (session, liveIds) => {
+  const live = new Set(liveIds);
+  if (session.itemIds.every(id => live.has(id))) return session;
+  const itemIds = session.itemIds.filter(id => live.has(id));
+
+  if (session.method === 'elo') {
+    const keep = (map) => Object.fromEntries(itemIds.map(id => [id, map[id]]));
+    const ratings = keep(session.ratings);
+    const counts = keep(session.counts);
+    const pair = session.pair?.every(id => live.has(id)) ? session.pair : pickEloPair(itemIds, ratings, counts);
+    return { ...session, itemIds, ratings, counts, pair };
+  }
+  // The image being inserted starts over, its bounds may have shifted
+  return startInsertion({ ...session, itemIds, order: session.order.filter(id => live.has(id)), pending: session.pending.filter(id => live.has(id)) });
+};
+
+// --- Distribution into tiers ---
+// Cut points are rank positions: tier i gets ranking[cuts[i - 1] .. cuts[i]).
+export const quantileCuts = (count, tierCount) => Array.from({ length: Math.max(0, tierCount - 1) }, (_, i) => Math.round(((i + 1) * count) / tierCount));
+
+export const distribute = (ranking, cuts) => {
+  // Clamped and made non-decreasing, so every image lands in exactly one tier
+  let previous = 0;
+  const bounds = [0, ...cuts.map(cut => (previous = Math.min(Math.max(previous, cut), ranking.length))), ranking.length];
+  return bounds.slice(1).map((end, i) => ranking.slice(bounds[i], end));
+};
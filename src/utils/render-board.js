@@ -0,0 +1,346 @@
+import { drawImageFitted } from './image-edit.js';
+import { DEFAULT_LABEL_FONT_SIZE, DEFAULT_ROW_HEIGHT, getTierTextColor, isImageIcon, resolveBoardTheme } from './tier-style.js';
+import { DIFF_SECTIONS } from './snapshots.js';
+
+// --- Canvas Board Renderer ---
+// Draws the board straight from tiers + imagesMap, so exporting needs no DOM
+// snapshot and no network. Measurements mirror the on-screen board.
+
+export const EXPORT_FORMATS = {
+  png: { mime: 'image/png', extension: '.png', label: 'PNG', lossy: false },
+  jpeg: { mime: 'image/jpeg', extension: '.jpg', label: 'JPEG', lossy: true },
+  webp: { mime: 'image/webp', extension: '.webp', label: 'WebP', lossy: true },
+};
+
+export const DEFAULT_RENDER_OPTIONS = {
+  format: 'png',
+  quality: 0.92,
+  scale: 2,
+  width: 1200,
+  backgroundColor: '', // fill behind the items and the title/watermark bars; '' follows the board theme
+  // Layout
+  title: '',
+  subtitle: '',
+  showDate: false,
+  watermark: '',
+  columns: 0, // images per row; 0 = as many as the width allows
+  thumbSize: 80,
+  includePool: false,
+  itemLabels: 'none', // 'none' | 'name' | 'caption', drawn under each thumbnail
+};
+
+const LABEL_WIDTH = 128;
+const THUMB_GAP = 8;
+const ROW_PADDING = 8;
+const LABEL_PADDING = 8;
+const ICON_SCALE = 1.6; // icon size relative to the label font size, as on screen
+const FONT_FAMILY = 'ui-sans-serif, system-ui, sans-serif';
+const HEADER_PADDING = 24;
+const TITLE_FONT_SIZE = 32;
+const SUBTITLE_FONT_SIZE = 16;
+const FOOTER_HEIGHT = 32;
+const POOL_ROW = { id: 'sidebar', label: '待选', color: '#4b5563' };
+const ITEM_LABEL_FONT_SIZE = 11;
+const ITEM_LABEL_HEIGHT = 16;
+
+const loadImage = (src) => {
+  return new Promise((resolve) => {
+    if (!src) return resolve(null);
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => resolve(null);
+    img.src = src;
+  });
+};
+
+// Character based wrapping, like `break-words` for CJK labels
+const wrapText = (ctx, text, maxWidth) => {
+  const lines = [];
+  let line = '';
+  for (const char of text) {
+    if (line && ctx.measureText(line + char).width > maxWidth) {
+      lines.push(line);
+      line = char;
+    } else {
+      line += char;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+};
+
+const roundedRectPath = (ctx, x, y, w, h, r) => {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r);
+  ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);
+  ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+};
+
+// Same as the board's <img> with getFitStyle (cover by default), clipped to a rounded square
+const drawThumbnail = (ctx, img, x, y, size, edit) => {
+  ctx.save();
+  roundedRectPath(ctx, x, y, size, size, 6);
+  ctx.clip();
+  drawImageFitted(ctx, img, x, y, size, size, edit);
+  ctx.restore();
+};
+
+// Icon above the wrapped label lines, laid out like the board's label cell
+const measureLabel = (ctx, row) => {
+  const fontSize = row.fontSize || DEFAULT_LABEL_FONT_SIZE;
+  ctx.font = `900 ${fontSize}px ${FONT_FAMILY}`;
+  const lines = row.label ? wrapText(ctx, row.label, LABEL_WIDTH - LABEL_PADDING * 2) : [];
+  const iconSize = row.icon ? Math.round(fontSize * ICON_SCALE) : 0;
+  const lineHeight = fontSize * 1.2;
+  return { fontSize, lines, lineHeight, iconSize, height: iconSize + (iconSize && lines.length ? 4 : 0) + lines.length * lineHeight };
+};
+
+const drawLabel = (ctx, row, layout, icon, y, rowHeight) => {
+  const { fontSize, lines, lineHeight, iconSize, height } = layout;
+  const centerX = LABEL_WIDTH / 2;
+  let top = y + (rowHeight - height) / 2;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = getTierTextColor(row);
+  if (iconSize) {
+    if (icon) {
+      const ratio = Math.min(iconSize / icon.naturalWidth, iconSize / icon.naturalHeight);
+      const w = icon.naturalWidth * ratio;
+      const h = icon.naturalHeight * ratio;
+      ctx.drawImage(icon, centerX - w / 2, top + (iconSize - h) / 2, w, h);
+    } else if (!isImageIcon(row.icon)) {
+      ctx.font = `${Math.round(iconSize * 0.8)}px ${FONT_FAMILY}`;
+      ctx.fillText(row.icon, centerX, top + iconSize / 2);
+    }
+    top += iconSize + (lines.length ? 4 : 0);
+  }
+  ctx.font = `900 ${fontSize}px ${FONT_FAMILY}`;
+  lines.forEach((line, i) => {
+    ctx.fillText(line, centerX, top + lineHeight * (i + 0.5));
+  });
+};
+
+const drawHeader = (ctx, { title, subtitle }, width, height, separator) => {
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  let y = HEADER_PADDING;
+  if (title) {
+    ctx.fillStyle = '#f3f4f6';
+    ctx.font = `800 ${TITLE_FONT_SIZE}px ${FONT_FAMILY}`;
+    ctx.fillText(title, HEADER_PADDING, y, width - HEADER_PADDING * 2);
+    y += TITLE_FONT_SIZE * 1.25;
+  }
+  if (subtitle) {
+    ctx.fillStyle = '#9ca3af';
+    ctx.font = `500 ${SUBTITLE_FONT_SIZE}px ${FONT_FAMILY}`;
+    ctx.fillText(subtitle, HEADER_PADDING, y, width - HEADER_PADDING * 2);
+  }
+  ctx.fillStyle = separator;
+  ctx.fillRect(0, height - 1, width, 1);
+};
+
+// imagesMap: { [id]: URL } of each image as it should be drawn, i.e. the
+// cropped/rotated rendition for edited images and the full image otherwise.
+// theme: the board theme (see tier-style.js); rows, separators and item labels follow it,
+// unless options.backgroundColor overrides the row background.
+export const renderBoard = async ({ tiers, sidebarImageIds = [], imagesMap, imageMeta = {}, theme }, options = {}) => {
+  const { scale, backgroundColor, title, subtitle, showDate, watermark, columns, thumbSize, includePool, itemLabels } = { ...DEFAULT_RENDER_OPTIONS, ...options };
+  const thumb = Math.max(16, Number(thumbSize) || DEFAULT_RENDER_OPTIONS.thumbSize);
+  const cell = thumb + THUMB_GAP;
+  const labelHeight = itemLabels === 'none' ? 0 : ITEM_LABEL_HEIGHT;
+  const cellHeight = cell + labelHeight;
+
+  // A fixed column count decides the width; otherwise the width decides the columns.
+  // Always leave room for the label cell and at least one thumbnail.
+  let width;
+  let perRow;
+  if (columns > 0) {
+    perRow = columns;
+    width = LABEL_WIDTH + ROW_PADDING * 2 + perRow * cell - THUMB_GAP;
+  } else {
+    width = Math.max(LABEL_WIDTH + ROW_PADDING * 2 + thumb, Number(options.width) || DEFAULT_RENDER_OPTIONS.width);
+    perRow = Math.max(1, Math.floor((width - LABEL_WIDTH - ROW_PADDING * 2 + THUMB_GAP) / cell));
+  }
+
+  const colors = resolveBoardTheme(theme);
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+
+  // Tiers marked hiddenFromExport are staging rows and stay out of the picture
+  const shownTiers = tiers.filter(tier => !tier.hiddenFromExport);
+  const rows = includePool ? [...shownTiers, { ...POOL_ROW, imageIds: sidebarImageIds }] : shownTiers;
+  const labelLayouts = rows.map(row => measureLabel(ctx, row));
+  const rowHeights = rows.map((row, index) => {
+    const lines = Math.ceil(row.imageIds.length / perRow);
+    return Math.max(row.minHeight || DEFAULT_ROW_HEIGHT, ROW_PADDING * 2 + lines * cellHeight - THUMB_GAP, labelLayouts[index].height + LABEL_PADDING * 2);
+  });
+
+  const subtitleText = [subtitle, showDate ? new Date().toLocaleDateString() : ''].filter(Boolean).join(' · ');
+  const headerHeight = title || subtitleText
+    ? HEADER_PADDING * 2 + (title ? TITLE_FONT_SIZE * 1.25 : 0) + (subtitleText ? SUBTITLE_FONT_SIZE * 1.25 : 0)
+    : 0;
+  const footerHeight = watermark ? FOOTER_HEIGHT : 0;
+  const boardHeight = rowHeights.reduce((sum, h) => sum + h, 0) + Math.max(0, rows.length - 1);
+  const height = headerHeight + boardHeight + footerHeight;
+
+  const usedIds = rows.flatMap(row => row.imageIds);
+  const loaded = await Promise.all(usedIds.map(id => loadImage(imagesMap[id])));
+  const images = Object.fromEntries(usedIds.map((id, i) => [id, loaded[i]]));
+  const icons = await Promise.all(rows.map(row => (isImageIcon(row.icon) ? loadImage(row.icon) : null)));
+
+  // Resizing resets the context, so the measuring above doesn't leak into the drawing
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(Math.max(height, 1) * scale);
+  ctx.scale(scale, scale);
+
+  ctx.fillStyle = colors.separator;
+  ctx.fillRect(0, 0, width, height);
+  const fill = backgroundColor || colors.rowBackground;
+  ctx.fillStyle = fill;
+  ctx.fillRect(0, 0, width, headerHeight);
+  ctx.fillRect(0, height - footerHeight, width, footerHeight);
+
+  if (headerHeight) drawHeader(ctx, { title, subtitle: subtitleText }, width, headerHeight, colors.separator);
+
+  let y = headerHeight;
+  rows.forEach((row, index) => {
+    const rowHeight = rowHeights[index];
+
+    // Label cell
+    ctx.fillStyle = row.color;
+    ctx.fillRect(0, y, LABEL_WIDTH, rowHeight);
+    drawLabel(ctx, row, labelLayouts[index], icons[index], y, rowHeight);
+
+    // Items
+    ctx.fillStyle = fill;
+    ctx.fillRect(LABEL_WIDTH, y, width - LABEL_WIDTH, rowHeight);
+    row.imageIds.forEach((id, i) => {
+      const img = images[id];
+      if (!img) return;
+      const x = LABEL_WIDTH + ROW_PADDING + (i % perRow) * cell;
+      const itemY = y + ROW_PADDING + Math.floor(i / perRow) * cellHeight;
+      drawThumbnail(ctx, img, x, itemY, thumb, imageMeta[id]?.edit);
+
+      const text = labelHeight ? imageMeta[id]?.[itemLabels] : null;
+      if (text) {
+        ctx.fillStyle = colors.itemText;
+        ctx.font = `500 ${ITEM_LABEL_FONT_SIZE}px ${FONT_FAMILY}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, x + thumb / 2, itemY + thumb + labelHeight / 2 + 1, thumb);
+      }
+    });
+
+    y += rowHeight + 1;
+  });
+
+  if (watermark) {
+    ctx.fillStyle = 'rgba(156, 163, 175, 0.8)';
+    ctx.font = `500 13px ${FONT_FAMILY}`;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(watermark, width - 12, height - footerHeight / 2, width - 24);
+  }
+
+  return canvas;
+};
+
+// --- Diff Image ---
+// The snapshot diff (see snapshots.js) as sections of thumbnails, each with
+// "from → to" tier labels underneath. imagesMap as for renderBoard.
+const DIFF_WIDTH = 960;
+const DIFF_THUMB = 64;
+const DIFF_CELL_WIDTH = 88;
+const DIFF_CELL_HEIGHT = DIFF_THUMB + 24;
+const DIFF_SECTION_HEADER = 36;
+const DIFF_BACKGROUND = '#1f2937';
+const DIFF_SEPARATOR = '#111827';
+
+// Tier label as a small colored chip; null (pool / not on the board) is a dash
+const chipText = (tier) => (tier ? tier.label : '—');
+const chipWidth = (ctx, tier) => {
+  ctx.font = `800 11px ${FONT_FAMILY}`;
+  return Math.min(36, Math.max(16, ctx.measureText(chipText(tier)).width + 8));
+};
+
+const drawTierChip = (ctx, tier, x, y) => {
+  const width = chipWidth(ctx, tier);
+  if (tier) {
+    ctx.fillStyle = tier.color;
+    roundedRectPath(ctx, x, y, width, 16, 3);
+    ctx.fill();
+  }
+  ctx.fillStyle = tier ? getTierTextColor(tier) : '#9ca3af';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(chipText(tier), x + width / 2, y + 8.5, width - 4);
+  return width;
+};
+
+export const renderBoardDiff = async ({ diff, imagesMap, imageMeta = {}, title, subtitle }, { scale = 2 } = {}) => {
+  const sections = DIFF_SECTIONS.filter(section => diff[section.key].length > 0);
+  const perRow = Math.floor((DIFF_WIDTH - ROW_PADDING * 2) / DIFF_CELL_WIDTH);
+  const sectionHeights = sections.map(section => DIFF_SECTION_HEADER + Math.ceil(diff[section.key].length / perRow) * DIFF_CELL_HEIGHT + ROW_PADDING);
+  const headerHeight = HEADER_PADDING * 2 + TITLE_FONT_SIZE * 1.25 + (subtitle ? SUBTITLE_FONT_SIZE * 1.25 : 0);
+  const emptyHeight = sections.length === 0 ? 80 : 0;
+  const height = headerHeight + sectionHeights.reduce((sum, h) => sum + h, 0) + emptyHeight;
+
+  const usedIds = sections.flatMap(section => diff[section.key].map(entry => entry.id));
+  const loaded = await Promise.all(usedIds.map(id => loadImage(imagesMap[id])));
+  const images = Object.fromEntries(usedIds.map((id, i) => [id, loaded[i]]));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(DIFF_WIDTH * scale);
+  canvas.height = Math.round(height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+  ctx.fillStyle = DIFF_BACKGROUND;
+  ctx.fillRect(0, 0, DIFF_WIDTH, height);
+  drawHeader(ctx, { title, subtitle }, DIFF_WIDTH, headerHeight, DIFF_SEPARATOR);
+
+  let y = headerHeight;
+  if (sections.length === 0) {
+    ctx.fillStyle = '#9ca3af';
+    ctx.font = `500 16px ${FONT_FAMILY}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('两个版本之间没有变化', DIFF_WIDTH / 2, y + emptyHeight / 2);
+  }
+  sections.forEach((section, index) => {
+    const entries = diff[section.key];
+    ctx.fillStyle = section.color;
+    ctx.font = `800 18px ${FONT_FAMILY}`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`${section.label} (${entries.length})`, ROW_PADDING * 2, y + DIFF_SECTION_HEADER / 2);
+
+    entries.forEach((entry, i) => {
+      const x = ROW_PADDING + (i % perRow) * DIFF_CELL_WIDTH + (DIFF_CELL_WIDTH - DIFF_THUMB) / 2;
+      const cellY = y + DIFF_SECTION_HEADER + Math.floor(i / perRow) * DIFF_CELL_HEIGHT;
+      const img = images[entry.id];
+      if (img) drawThumbnail(ctx, img, x, cellY, DIFF_THUMB, imageMeta[entry.id]?.edit);
+
+      // "from → to", centered under the thumbnail
+      const chipY = cellY + DIFF_THUMB + 4;
+      const center = x + DIFF_THUMB / 2;
+      let chipX = center - (chipWidth(ctx, entry.from) + 14 + chipWidth(ctx, entry.to)) / 2;
+      chipX += drawTierChip(ctx, entry.from, chipX, chipY);
+      ctx.fillStyle = '#9ca3af';
+      ctx.fillText('→', chipX + 7, chipY + 8.5);
+      drawTierChip(ctx, entry.to, chipX + 14, chipY);
+    });
+
+    y += sectionHeights[index];
+    ctx.fillStyle = DIFF_SEPARATOR;
+    ctx.fillRect(0, y - 1, DIFF_WIDTH, 1);
+  });
+
+  return canvas;
+};
+
+export const canvasToBlob = (canvas, format, quality) => {
+  return new Promise((resolve) => canvas.toBlob(resolve, EXPORT_FORMATS[format].mime, quality));
+};
@@ -0,0 +1,75 @@
+import { createZipWriter, isZipBlob, openZip } from './archive.js';
+import { SCHEMA_FORMAT, SCHEMA_VERSION } from './save-schema.js';
+import { pickImageMeta } from './db.js';
+
+// --- Save File Formats ---
+// version 1: legacy `.tmp` JSON, every image inlined as a Base64 data URL
+// version 2: zip archive with manifest.json plus the raw image files under images/
+// The board part of both is described and migrated in save-schema.js.
+export const ARCHIVE_EXTENSION = '.zip';
+const MANIFEST_NAME = 'manifest.json';
+
+const EXTENSIONS_BY_TYPE = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/avif': '.avif',
+  'image/bmp': '.bmp',
+  'image/svg+xml': '.svg',
+};
+
+const base64ToBlob = async (base64Data) => {
+  const res = await fetch(base64Data);
+  return await res.blob();
+};
+
+// images: [{ id, blob, hash?, name?, caption?, notes?, ... }]. Blobs are appended one at a time so memory stays bounded.
+// Only the full-size blob is archived; thumbnails are rebuilt on import.
+export const buildArchive = async ({ tiers, sidebarImageIds, images }) => {
+  const writer = createZipWriter();
+  const imageEntries = {};
+
+  for (const img of images) {
+    const file = `images/${img.id}${EXTENSIONS_BY_TYPE[img.blob.type] || '.bin'}`;
+    imageEntries[img.id] = { file, type: img.blob.type, ...(img.hash ? { hash: img.hash } : {}), ...pickImageMeta(img) };
+    await writer.addFile(file, img.blob);
+  }
+
+  const manifest = {
+    format: SCHEMA_FORMAT, version: SCHEMA_VERSION, date: new Date().toISOString(), tiers, sidebarImageIds, images: imageEntries
+  };
+  await writer.addFile(MANIFEST_NAME, JSON.stringify(manifest));
+  return writer.finish();
+};
+
+// Normalizes both formats to { state, imageIds, imageMeta, imageHashes, loadImage(id) }.
+// Image blobs are only materialized when loadImage is called.
+export const readSaveFile = async (file) => {
+  if (await isZipBlob(file)) {
+    const zip = await openZip(file);
+    const manifestText = await zip.text(MANIFEST_NAME);
+    if (!manifestText) throw new Error("Invalid archive: missing manifest.json");
+    const { images = {}, ...state } = JSON.parse(manifestText);
+    return {
+      state,
+      imageIds: Object.keys(images),
+      imageMeta: Object.fromEntries(Object.entries(images).map(([id, entry]) => [id, pickImageMeta(entry)])),
+      imageHashes: Object.fromEntries(Object.entries(images).filter(([, entry]) => typeof entry.hash === 'string').map(([id, entry]) => [id, entry.hash])),
+      loadImage: async (id) => {
+        const blob = images[id]?.file ? await zip.file(images[id].file, images[id].type) : null;
+        if (!blob) throw new Error(`Invalid archive: missing image file for ${id}`);
+        return blob;
+      }
+    };
+  }
+
+  const { images = {}, ...state } = JSON.parse(await file.text());
+  return {
+    state,
+    imageIds: Object.keys(images),
+    imageMeta: {},
+    imageHashes: {},
+    loadImage: (id) => base64ToBlob(images[id])
+  };
+};
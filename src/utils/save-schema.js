@@ -0,0 +1,126 @@
+import { createId } from './db.js';
+
+// --- Save File Schema ---
+// Current (version 2) manifest:
+//   {
+//     format: 'tier-list-pro',
+//     version: 2,
+//     date: ISO string,
+//     tiers: [{ id: string, label: string, color: '#rrggbb', imageIds: string[],
+//               textColor?, icon?, fontSize?, minHeight?,   (style fields: see tier-style.js)
+//               hiddenFromExport?: true }],
+//     sidebarImageIds: string[],
+//   }
+// plus the image payload, which readSaveFile exposes as a list of image ids.
+// In the archive, manifest.images maps each id to { file, type, hash?, name?, caption?, notes?, tags?, edit?, textTile? }.
+export const SCHEMA_FORMAT = 'tier-list-pro';
+export const SCHEMA_VERSION = 2;
+
+// MIGRATIONS[n] upgrades a version n state to version n + 1
+const MIGRATIONS = {
+  1: (state) => ({ ...state, format: SCHEMA_FORMAT, version: 2 }),
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isIdList = (value) => Array.isArray(value) && value.every(id => typeof id === 'string');
+
+// Returns { state, errors }. Errors here are fatal: the file cannot be read at all.
+export const migrateState = (rawState) => {
+  if (!isPlainObject(rawState)) return { state: null, errors: ['文件内容不是有效的配置对象'] };
+
+  const version = rawState.version ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    return { state: null, errors: [`无法识别的文件版本：${String(rawState.version)}`] };
+  }
+  if (version > SCHEMA_VERSION) {
+    return { state: null, errors: [`文件版本 (v${version}) 高于当前应用支持的版本 (v${SCHEMA_VERSION})，请先更新应用`] };
+  }
+
+  let state = { ...rawState, version };
+  while (state.version < SCHEMA_VERSION) {
+    state = MIGRATIONS[state.version](state);
+  }
+  if (!Array.isArray(state.tiers)) return { state: null, errors: ['缺少评级行数据 (tiers)'] };
+  return { state, errors: [] };
+};
+
+// Walks a migrated state and reports every inconsistency as { type, message }
+export const validateState = (state, imageIds) => {
+  const issues = [];
+  const known = new Set(imageIds);
+  const placed = new Set();
+  const tierIds = new Set();
+
+  const checkPlacements = (ids, where) => {
+    ids.forEach(id => {
+      if (!known.has(id)) {
+        issues.push({ type: 'unknown-id', message: `${where} 引用了不存在的图片 ${id}` });
+      } else if (placed.has(id)) {
+        issues.push({ type: 'duplicate-placement', message: `图片 ${id} 被重复放置（${where}）` });
+      }
+      placed.add(id);
+    });
+  };
+
+  state.tiers.forEach((tier, index) => {
+    if (!isPlainObject(tier)) {
+      issues.push({ type: 'invalid-tier', message: `第 ${index + 1} 个评级行不是有效对象` });
+      return;
+    }
+    const where = `评级行「${tier.label ?? index + 1}」`;
+    if (typeof tier.id !== 'string' || tierIds.has(tier.id)) {
+      issues.push({ type: 'invalid-tier', message: `${where} 缺少 ID 或 ID 重复` });
+    }
+    tierIds.add(tier.id);
+    if (typeof tier.label !== 'string' || typeof tier.color !== 'string') {
+      issues.push({ type: 'invalid-tier', message: `${where} 缺少标题或颜色` });
+    }
+    if (!isIdList(tier.imageIds)) {
+      issues.push({ type: 'invalid-tier', message: `${where} 的图片列表无效` });
+    } else {
+      checkPlacements(tier.imageIds, where);
+    }
+  });
+
+  if (!isIdList(state.sidebarImageIds)) {
+    issues.push({ type: 'missing-sidebar', message: '缺少待选图片库列表 (sidebarImageIds)' });
+  } else {
+    checkPlacements(state.sidebarImageIds, '待选图片库');
+  }
+
+  imageIds.filter(id => !placed.has(id)).forEach(id => {
+    issues.push({ type: 'orphaned-image', message: `图片 ${id} 没有被放置在任何位置` });
+  });
+
+  return issues;
+};
+
+// Fixes everything validateState reports: drops unknown ids and repeated
+// placements (first one wins), fills broken tiers, and puts orphans in the pool
+export const repairState = (state, imageIds) => {
+  const known = new Set(imageIds);
+  const placed = new Set();
+  const tierIds = new Set();
+
+  const keep = (ids) => (isIdList(ids) ? ids : []).filter(id => {
+    if (!known.has(id) || placed.has(id)) return false;
+    placed.add(id);
+    return true;
+  });
+
+  const tiers = state.tiers.filter(isPlainObject).map(tier => {
+    const id = typeof tier.id === 'string' && !tierIds.has(tier.id) ? tier.id : createId('tier');
+    tierIds.add(id);
+    return {
+      ...tier,
+      id,
+      label: typeof tier.label === 'string' ? tier.label : '?',
+      color: typeof tier.color === 'string' ? tier.color : '#cccccc',
+      imageIds: keep(tier.imageIds),
+    };
+  });
+  const sidebarImageIds = keep(state.sidebarImageIds);
+  const orphans = imageIds.filter(id => !placed.has(id));
+
+  return { ...state, tiers, sidebarImageIds: [...sidebarImageIds, ...orphans] };
+};
@@ -0,0 +1,158 @@
+import { createId, pickImageMeta } from './db.js';
+import { SCHEMA_FORMAT, SCHEMA_VERSION } from './save-schema.js';
+import { isHexColor, isImageIcon, pickTierStyle } from './tier-style.js';
+
+// --- Share Links ---
+// A board travels entirely inside the URL fragment (never sent to a server):
+//   #share=<base64url(deflate-raw(JSON))>
+// Payload (version 1):
+//   {
+//     format: 'tier-list-share', version: 1, name, theme,
+//     tiers: [{ label, color, ...style, items: number[] }],   (indexes into items)
+//     pool: number[],
+//     items: [{ name?, caption?, thumb? }],                    (thumb: small data:image/ URL)
+//   }
+// Thumbnails are only embedded for small boards, and only while the link stays
+// under SHARE_URL_BUDGET; larger boards share names only.
+export const SHARE_FORMAT = 'tier-list-share';
+export const SHARE_VERSION = 1;
+export const SHARE_HASH_PREFIX = '#share=';
+export const SHARE_THUMB_SIZE = 48;
+export const SHARE_THUMB_MAX_ITEMS = 30;
+export const SHARE_URL_BUDGET = 64 * 1024;
+
+const PLACEHOLDER_SIZE = 160;
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+const transform = async (bytes, stream) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+const encodePayload = async (payload) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  return toBase64Url(await transform(bytes, new CompressionStream('deflate-raw')));
+};
+
+const shareUrl = (encoded) => `${window.location.origin}${window.location.pathname}${window.location.search}${SHARE_HASH_PREFIX}${encoded}`;
+
+export const isShareHash = (hash) => hash.startsWith(SHARE_HASH_PREFIX);
+
+// Tiers hidden from export are staging rows and are left out, as in the exported picture.
+// loadThumb(id) resolves to a small data: URL (or null) and is only called for small boards.
+// Returns { url, itemCount, withThumbnails }.
+export const createShareLink = async ({ name, tiers, sidebarImageIds, imageMeta, theme }, loadThumb) => {
+  const shownTiers = tiers.filter(tier => !tier.hiddenFromExport);
+  const ids = [...shownTiers.flatMap(tier => tier.imageIds), ...sidebarImageIds];
+  const indexOf = new Map(ids.map((id, index) => [id, index]));
+
+  const build = (thumbs) => ({
+    format: SHARE_FORMAT,
+    version: SHARE_VERSION,
+    name,
+    theme,
+    tiers: shownTiers.map(tier => {
+      const { icon, ...style } = pickTierStyle(tier);
+      // Image icons are dropped along with the thumbnails
+      const keepIcon = icon && (thumbs || !isImageIcon(icon));
+      return { label: tier.label, color: tier.color, ...style, ...(keepIcon ? { icon } : {}), items: tier.imageIds.map(id => indexOf.get(id)) };
+    }),
+    pool: sidebarImageIds.map(id => indexOf.get(id)),
+    items: ids.map((id, index) => {
+      const { name: itemName, caption } = pickImageMeta(imageMeta[id]);
+      return { ...(itemName ? { name: itemName } : {}), ...(caption ? { caption } : {}), ...(thumbs?.[index] ? { thumb: thumbs[index] } : {}) };
+    }),
+  });
+
+  if (ids.length <= SHARE_THUMB_MAX_ITEMS) {
+    const thumbs = await Promise.all(ids.map(id => loadThumb(id).catch(() => null)));
+    const url = shareUrl(await encodePayload(build(thumbs)));
+    if (url.length <= SHARE_URL_BUDGET) return { url, itemCount: ids.length, withThumbnails: true };
+  }
+  return { url: shareUrl(await encodePayload(build(null))), itemCount: ids.length, withThumbnails: false };
+};
+
+// Returns the normalized payload; throws an Error with a user-facing message
+export const readShareHash = async (hash) => {
+  let payload;
+  try {
+    const bytes = await transform(fromBase64Url(hash.slice(SHARE_HASH_PREFIX.length)), new DecompressionStream('deflate-raw'));
+    payload = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error('分享链接已损坏或不完整');
+  }
+  if (payload?.format !== SHARE_FORMAT) throw new Error('这不是评级看板的分享链接');
+  if (payload.version > SHARE_VERSION) throw new Error('分享链接版本过新，请先更新应用');
+
+  // Only inline images: a remote URL would make the viewer's browser fetch it
+  const items = (Array.isArray(payload.items) ? payload.items : []).map(item => ({
+    ...pickImageMeta(item),
+    ...(typeof item?.thumb === 'string' && item.thumb.startsWith('data:image/') ? { thumb: item.thumb } : {}),
+  }));
+  const indexes = (list) => (Array.isArray(list) ? list : []).filter(index => Number.isInteger(index) && index >= 0 && index < items.length);
+  const tiers = (Array.isArray(payload.tiers) ? payload.tiers : []).map(tier => ({
+    label: typeof tier?.label === 'string' ? tier.label : '?',
+    color: isHexColor(tier?.color) ? tier.color : '#cccccc',
+    ...pickTierStyle(tier ?? {}),
+    items: indexes(tier?.items),
+  }));
+
+  return {
+    name: typeof payload.name === 'string' && payload.name ? payload.name : '分享的看板',
+    theme: payload.theme && typeof payload.theme === 'object' ? payload.theme : undefined,
+    tiers,
+    pool: indexes(payload.pool),
+    items,
+  };
+};
+
+// Stand-in for an item shared without a thumbnail: its name on a gray tile
+const createPlaceholderImage = (name) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = PLACEHOLDER_SIZE;
+  canvas.height = PLACEHOLDER_SIZE;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#374151';
+  ctx.fillRect(0, 0, PLACEHOLDER_SIZE, PLACEHOLDER_SIZE);
+  ctx.fillStyle = '#e5e7eb';
+  ctx.font = '600 18px ui-sans-serif, system-ui, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(name || '图片', PLACEHOLDER_SIZE / 2, PLACEHOLDER_SIZE / 2, PLACEHOLDER_SIZE - 16);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('图片编码失败'))), 'image/png');
+  });
+};
+
+// The same { state, imageIds, imageMeta, imageHashes, loadImage } readSaveFile returns,
+// so a shared board is copied through the regular import review
+export const sharedBoardToSaveFile = (shared) => {
+  const ids = shared.items.map(() => createId('img'));
+  const pick = (indexes) => indexes.map(index => ids[index]);
+  return {
+    state: {
+      format: SCHEMA_FORMAT,
+      version: SCHEMA_VERSION,
+      tiers: shared.tiers.map(({ items, ...tier }) => ({ ...tier, id: createId('tier'), imageIds: pick(items) })),
+      sidebarImageIds: pick(shared.pool),
+    },
+    imageIds: ids,
+    imageMeta: Object.fromEntries(ids.map((id, index) => [id, pickImageMeta(shared.items[index])])),
+    imageHashes: {},
+    loadImage: async (id) => {
+      const item = shared.items[ids.indexOf(id)];
+      if (item.thumb) return (await fetch(item.thumb)).blob();
+      return createPlaceholderImage(item.name);
+    },
+  };
+};
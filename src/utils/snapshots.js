@@ -0,0 +1,80 @@
+import { createId } from './db.js';
+
+// --- Snapshots ---
+// Named copies of a board's arrangement, stored per board under <pid>:snapshots:
+//   [{ id, name, createdAt: ISO string, auto: boolean, tiers, sidebarImageIds }]
+// The recycle bin is not part of a snapshot. Images a snapshot references are
+// kept alive like undo history does, until the snapshot is deleted.
+export const AUTO_SNAPSHOT_LIMIT = 20; // oldest automatic snapshots are dropped beyond this
+export const SNAPSHOT_INTERVALS = [
+  { minutes: 0, label: '关闭' },
+  { minutes: 10, label: '每 10 分钟' },
+  { minutes: 30, label: '每 30 分钟' },
+  { minutes: 60, label: '每小时' },
+  { minutes: 24 * 60, label: '每天' },
+];
+
+export const createSnapshot = ({ tiers, sidebarImageIds }, name, auto = false) => ({
+  id: createId('snapshot'),
+  name,
+  createdAt: new Date().toISOString(),
+  auto,
+  tiers,
+  sidebarImageIds,
+});
+
+// Newest first
+export const addSnapshot = (snapshots, snapshot) => {
+  const next = [snapshot, ...snapshots];
+  const autos = next.filter(s => s.auto);
+  if (autos.length <= AUTO_SNAPSHOT_LIMIT) return next;
+  const dropped = new Set(autos.slice(AUTO_SNAPSHOT_LIMIT).map(s => s.id));
+  return next.filter(s => !dropped.has(s.id));
+};
+
+export const snapshotImageIds = (snapshot) => [...snapshot.sidebarImageIds, ...snapshot.tiers.flatMap(t => t.imageIds)];
+
+// Same tiers (labels, colors, order) holding the same images in the same order
+export const isSameArrangement = (a, b) => JSON.stringify([a.tiers, a.sidebarImageIds]) === JSON.stringify([b.tiers, b.sidebarImageIds]);
+
+// --- Diff ---
+// Tiers are compared by position (0 = top), so renamed or recolored tiers still line up.
+// Returns { movedUp, movedDown, entered, left, unchanged } where each list holds
+// { id, from, to } with from/to = { index, label, color, textColor } of the tier, or null when
+// the image was in the pool or not on the board at all. unchanged is a count.
+const locateTiers = (board) => {
+  const located = new Map();
+  board.tiers.forEach((tier, index) => tier.imageIds.forEach(id => located.set(id, { index, label: tier.label, color: tier.color, textColor: tier.textColor })));
+  return located;
+};
+
+export const diffBoards = (from, to) => {
+  const before = locateTiers(from);
+  const after = locateTiers(to);
+  const ids = new Set([...before.keys(), ...after.keys()]);
+  const diff = { movedUp: [], movedDown: [], entered: [], left: [], unchanged: 0 };
+
+  ids.forEach(id => {
+    const entry = { id, from: before.get(id) || null, to: after.get(id) || null };
+    if (!entry.from) diff.entered.push(entry);
+    else if (!entry.to) diff.left.push(entry);
+    else if (entry.to.index < entry.from.index) diff.movedUp.push(entry);
+    else if (entry.to.index > entry.from.index) diff.movedDown.push(entry);
+    else diff.unchanged++;
+  });
+
+  // Biggest moves first, arrivals and departures from the top tier down
+  const distance = (e) => Math.abs(e.to.index - e.from.index);
+  diff.movedUp.sort((a, b) => distance(b) - distance(a));
+  diff.movedDown.sort((a, b) => distance(b) - distance(a));
+  diff.entered.sort((a, b) => a.to.index - b.to.index);
+  diff.left.sort((a, b) => a.from.index - b.from.index);
+  return diff;
+};
+
+export const DIFF_SECTIONS = [
+  { key: 'movedUp', label: '上升', color: '#4ade80' },
+  { key: 'movedDown', label: '下降', color: '#f87171' },
+  { key: 'entered', label: '新进入评级', color: '#60a5fa' },
+  { key: 'left', label: '移出评级', color: '#9ca3af' },
+];
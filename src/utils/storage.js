@@ -0,0 +1,64 @@
+import { STORE_CONFIG, STORE_IMAGES, dbOperate, projectKey } from './db.js';
+import { snapshotImageIds } from './snapshots.js';
+
+// --- Storage Usage & Orphan Scan ---
+
+// One row per image record: { id, projectId, name, size, fullSize, thumbSize }.
+// Blob sizes are known without reading the bytes, so this stays cheap for large stores.
+export const getImageSizes = async () => {
+  const records = await dbOperate(STORE_IMAGES, 'readonly', (store) => store.getAll());
+  return records.map(record => {
+    const fullSize = record.blob?.size || 0;
+    const thumbSize = record.thumb?.size || 0;
+    return { id: record.id, projectId: record.projectId, name: record.name || '', size: fullSize + thumbSize, fullSize, thumbSize };
+  });
+};
+
+// Every image id a saved board still needs: placed, in the recycle bin, kept for undo or by a snapshot
+const getReferencedIds = async (projectId) => {
+  const read = (key) => dbOperate(STORE_CONFIG, 'readonly', (store) => store.get(projectKey(projectId, key)));
+  const [tiers, sidebar, bin, pendingPurge, snapshots] = await Promise.all(['tiers', 'sidebar', 'bin', 'pendingPurge', 'snapshots'].map(read));
+  return [
+    ...(tiers?.data || []).flatMap(t => t.imageIds),
+    ...(sidebar?.data || []),
+    ...(bin?.data || []).map(entry => entry.id),
+    ...(pendingPurge?.data || []),
+    ...(snapshots?.data || []).flatMap(snapshotImageIds),
+  ];
+};
+
+// Images that no board references, e.g. left behind by an interrupted import,
+// a failed delete, or a board that no longer exists.
+// `liveIds`: ids the open board needs that may not be saved yet (its undo history).
+export const findOrphanImages = async (images, projectIds, liveIds = []) => {
+  const referenced = new Set(liveIds);
+  for (const projectId of projectIds) {
+    (await getReferencedIds(projectId)).forEach(id => referenced.add(id));
+  }
+  const known = new Set(projectIds);
+  return images.filter(image => !known.has(image.projectId) || !referenced.has(image.id));
+};
+
+// Quota as reported by the browser; null where the Storage API is unavailable
+export const getStorageEstimate = async () => {
+  if (!navigator.storage?.estimate) return null;
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  return { usage, quota };
+};
+
+// Persistent storage is exempt from eviction under storage pressure
+export const isStoragePersisted = async () => (navigator.storage?.persisted ? navigator.storage.persisted() : false);
+
+export const requestPersistentStorage = async () => (navigator.storage?.persist ? navigator.storage.persist() : false);
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+};
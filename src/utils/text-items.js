@@ -0,0 +1,168 @@
+// --- Text Items ---
+// Things that only have a name become a generated square tile, stored like any
+// uploaded image (so they drag, export and import the same way). The style is
+// kept as `textTile` next to the blob so the tile can be regenerated:
+//   { text, background: '#rrggbb', color: '#rrggbb', font: key of TEXT_TILE_FONTS }
+
+export const TEXT_TILE_FONTS = {
+  sans: { label: '无衬线', family: 'ui-sans-serif, system-ui, "PingFang SC", "Microsoft YaHei", sans-serif' },
+  serif: { label: '衬线', family: 'ui-serif, Georgia, "Songti SC", SimSun, serif' },
+  mono: { label: '等宽', family: 'ui-monospace, Menlo, Consolas, monospace' },
+  hand: { label: '手写', family: '"Comic Sans MS", "Kaiti SC", KaiTi, cursive' },
+};
+
+export const DEFAULT_TEXT_TILE = { text: '', background: '#374151', color: '#ffffff', font: 'sans' };
+
+const TILE_SIZE = 480; // becomes the 240px thumbnail like an upload would
+const TILE_PADDING = 36;
+const MAX_FONT_SIZE = 120;
+const MIN_FONT_SIZE = 20;
+const LINE_HEIGHT = 1.15;
+
+const isColor = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+
+// Returns a complete, valid style, or null without any text
+export const normalizeTextTile = (raw) => {
+  if (!raw || typeof raw !== 'object' || typeof raw.text !== 'string' || !raw.text.trim()) return null;
+  return {
+    text: raw.text.trim(),
+    background: isColor(raw.background) ? raw.background : DEFAULT_TEXT_TILE.background,
+    color: isColor(raw.color) ? raw.color : DEFAULT_TEXT_TILE.color,
+    font: TEXT_TILE_FONTS[raw.font] ? raw.font : DEFAULT_TEXT_TILE.font,
+  };
+};
+
+// The item name for a tile: its text on one line
+export const textTileName = (text) => text.replace(/\s*\n\s*/g, ' ').trim();
+
+// Latin words stay whole where they fit; CJK and over-long words break anywhere
+const wrapParagraph = (ctx, paragraph, maxWidth) => {
+  const tokens = paragraph.match(/[\u2E80-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF\uFF00-\uFFEF]|[^\s\u2E80-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF\uFF00-\uFFEF]+|\s+/g) || [];
+  const lines = [];
+  let line = '';
+  for (const token of tokens) {
+    if (/^\s+$/.test(token)) {
+      if (line) line += ' ';
+      continue;
+    }
+    if (ctx.measureText(line + token).width <= maxWidth) {
+      line += token;
+      continue;
+    }
+    if (line.trim()) lines.push(line.trim());
+    line = '';
+    for (const char of token) {
+      if (line && ctx.measureText(line + char).width > maxWidth) {
+        lines.push(line);
+        line = char;
+      } else {
+        line += char;
+      }
+    }
+  }
+  if (line.trim()) lines.push(line.trim());
+  return lines.length > 0 ? lines : [''];
+};
+
+// Largest font size whose wrapped lines fit the tile; below the minimum the rest is cut off
+const layoutText = (ctx, tile) => {
+  const box = TILE_SIZE - TILE_PADDING * 2;
+  const family = TEXT_TILE_FONTS[tile.font].family;
+  for (let fontSize = MAX_FONT_SIZE; ; fontSize = Math.max(MIN_FONT_SIZE, Math.floor(fontSize * 0.9))) {
+    ctx.font = `700 ${fontSize}px ${family}`;
+    const lineHeight = fontSize * LINE_HEIGHT;
+    const lines = tile.text.split('\n').flatMap(paragraph => wrapParagraph(ctx, paragraph, box));
+    if (lines.length * lineHeight <= box) return { lines, lineHeight };
+    if (fontSize === MIN_FONT_SIZE) {
+      const fitting = lines.slice(0, Math.max(1, Math.floor(box / lineHeight)));
+      fitting[fitting.length - 1] += '…';
+      return { lines: fitting, lineHeight };
+    }
+  }
+};
+
+// Draws the tile onto a canvas (resized to the tile size), e.g. for a live preview
+export const drawTextTile = (canvas, tile) => {
+  canvas.width = TILE_SIZE;
+  canvas.height = TILE_SIZE;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = tile.background;
+  ctx.fillRect(0, 0, TILE_SIZE, TILE_SIZE);
+  if (!tile.text) return;
+
+  const { lines, lineHeight } = layoutText(ctx, tile);
+  ctx.fillStyle = tile.color;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  const top = TILE_SIZE / 2 - ((lines.length - 1) * lineHeight) / 2;
+  lines.forEach((line, i) => ctx.fillText(line, TILE_SIZE / 2, top + i * lineHeight));
+};
+
+// A PNG file named after the text, ready for the regular upload pipeline
+export const renderTextTile = (tile) => {
+  const canvas = document.createElement('canvas');
+  drawTextTile(canvas, tile);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob
+      ? resolve(new File([blob], `${textTileName(tile.text)}.png`, { type: 'image/png' }))
+      : reject(new Error('文字图块生成失败'))), 'image/png');
+  });
+};
+
+// --- Bulk Lists ---
+// Plain text: one name per line. CSV: `name,tier,imageUrl` with tier and imageUrl
+// optional and an optional header row; tab separated rows (pasted from a
+// spreadsheet) work too. Returns [{ name, tier, imageUrl }] with '' for missing cells.
+
+const parseCsv = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      rows.push([...row, cell]);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) rows.push([...row, cell]);
+  return rows;
+};
+
+export const parseItemList = (text, format = 'lines') => {
+  if (format !== 'csv') {
+    return text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(name => ({ name, tier: '', imageUrl: '' }));
+  }
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes('\t') && !firstLine.includes(',') ? '\t' : ',';
+  const rows = parseCsv(text, delimiter).map(cells => cells.map(cell => cell.trim()));
+  if (rows[0]?.[0].toLowerCase() === 'name') rows.shift();
+  return rows
+    .filter(cells => cells[0])
+    .map(([name, tier = '', imageUrl = '']) => ({ name, tier, imageUrl }));
+};
+
+// Tier labels are matched ignoring case and surrounding spaces
+export const findTierByLabel = (tiers, label) => {
+  const wanted = label.trim().toLowerCase();
+  return wanted ? tiers.find(tier => (tier.label || '').trim().toLowerCase() === wanted) || null : null;
+};
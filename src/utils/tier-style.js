@@ -0,0 +1,80 @@
+// --- Tier Row Styling ---
+// Optional per-tier fields, stored on the tier next to label and color:
+//   textColor  '#rrggbb'; missing = picked for contrast with the tier color
+//   icon       an emoji, or a small data: URL image, shown above the label
+//   fontSize   label size in px; missing = the default size
+//   minHeight  row height in px; missing = DEFAULT_ROW_HEIGHT
+// The canvas export reads the same fields, so both look alike.
+
+export const TIER_STYLE_FIELDS = ['textColor', 'icon', 'fontSize', 'minHeight'];
+export const DEFAULT_LABEL_FONT_SIZE = 30;
+export const DEFAULT_ROW_HEIGHT = 100;
+export const LABEL_FONT_SIZES = [16, 20, 24, 30, 36, 48];
+export const ROW_HEIGHT_RANGE = { min: 60, max: 300, step: 10 };
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const DARK_TEXT = 'rgba(0, 0, 0, 0.7)';
+const LIGHT_TEXT = 'rgba(255, 255, 255, 0.9)';
+
+export const isHexColor = (value) => typeof value === 'string' && HEX_COLOR.test(value);
+export const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+export const rgbToHex = (rgb) => '#' + rgb.map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+
+// WCAG relative luminance
+const luminance = (hex) => {
+  const [r, g, b] = hexToRgb(hex).map(v => {
+    const c = v / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+// 0.18 is where black and white text contrast equally
+export const isDarkColor = (hex) => isHexColor(hex) && luminance(hex) < 0.18;
+
+// Dark text on light backgrounds and vice versa
+export const contrastTextColor = (background) => (isDarkColor(background) ? LIGHT_TEXT : DARK_TEXT);
+
+export const getTierTextColor = (tier) => (isHexColor(tier.textColor) ? tier.textColor : contrastTextColor(tier.color));
+
+// Inline style for anything showing a tier's label on its color (chips, previews)
+export const tierColorStyle = (tier) => ({ backgroundColor: tier.color, color: getTierTextColor(tier) });
+
+export const isImageIcon = (icon) => typeof icon === 'string' && icon.startsWith('data:image/');
+
+// Keeps only well-formed style fields, e.g. from templates or imported files
+export const pickTierStyle = (tier) => {
+  const style = {};
+  if (isHexColor(tier.textColor)) style.textColor = tier.textColor;
+  if (typeof tier.icon === 'string' && tier.icon) style.icon = tier.icon;
+  if (Number.isFinite(tier.fontSize) && tier.fontSize > 0) style.fontSize = tier.fontSize;
+  if (Number.isFinite(tier.minHeight) && tier.minHeight > 0) style.minHeight = tier.minHeight;
+  return style;
+};
+
+// --- Board Theme ---
+// Global: { mode: 'dark' | 'light' | 'custom', background } where background is used by 'custom'
+export const BOARD_THEMES = {
+  dark: { label: '深色', rowBackground: '#1f2937', separator: '#111827', itemText: '#d1d5db' },
+  light: { label: '浅色', rowBackground: '#f3f4f6', separator: '#d1d5db', itemText: '#374151' },
+  custom: { label: '自定义' },
+};
+
+export const DEFAULT_BOARD_THEME = { mode: 'dark', background: '#1f2937' };
+
+// Separator a step darker (or lighter, on dark backgrounds) than the rows
+const shade = (hex, amount) => rgbToHex(hexToRgb(hex).map(v => Math.min(255, Math.max(0, v + amount))));
+
+// Concrete colors for the board and the export: { rowBackground, separator, itemText }
+export const resolveBoardTheme = (theme = DEFAULT_BOARD_THEME) => {
+  if (theme.mode !== 'custom' || !isHexColor(theme.background)) {
+    const { rowBackground, separator, itemText } = theme.mode === 'light' ? BOARD_THEMES.light : BOARD_THEMES.dark;
+    return { rowBackground, separator, itemText };
+  }
+  const isDark = isDarkColor(theme.background);
+  return {
+    rowBackground: theme.background,
+    separator: shade(theme.background, isDark ? -24 : -40),
+    itemText: isDark ? '#d1d5db' : '#374151',
+  };
+};
@@ -0,0 +1,111 @@
+import { createId } from './db.js';
+import { hexToRgb, isHexColor, pickTierStyle, rgbToHex } from './tier-style.js';
+
+// --- Tier Templates ---
+// A template is a tier structure without images: { id, name, tiers: [{ label, color, ...style }] }
+// (style: the optional fields of tier-style.js).
+// The presets below are built in; custom templates are stored in config under 'templates'.
+
+export const TEMPLATE_FILE_FORMAT = 'tier-list-template';
+export const TEMPLATE_FILE_VERSION = 1;
+export const TEMPLATE_EXTENSION = '.json';
+
+// --- Color Ramps ---
+// Applied top to bottom; the stops are spread evenly over however many tiers there are
+export const COLOR_RAMPS = [
+  { id: 'classic', name: '经典', stops: ['#ff7f7f', '#ffbf7f', '#ffdf7f', '#ffff7f', '#bfff7f', '#7fff7f', '#7fffff'] },
+  { id: 'traffic', name: '红黄绿', stops: ['#f87171', '#fcd34d', '#86efac'] },
+  { id: 'sunset', name: '日落', stops: ['#f472b6', '#fb923c', '#fde68a'] },
+  { id: 'ocean', name: '海洋', stops: ['#818cf8', '#60a5fa', '#a5f3fc'] },
+  { id: 'mono', name: '灰度', stops: ['#f3f4f6', '#6b7280'] },
+];
+
+// Color of the index-th of `count` tiers
+export const rampColor = (ramp, index, count) => {
+  const { stops } = ramp;
+  if (count <= 1 || stops.length === 1) return stops[0];
+  const position = (index / (count - 1)) * (stops.length - 1);
+  const lower = Math.floor(position);
+  if (lower >= stops.length - 1) return stops[stops.length - 1];
+  const from = hexToRgb(stops[lower]);
+  const to = hexToRgb(stops[lower + 1]);
+  const t = position - lower;
+  return rgbToHex(from.map((v, i) => v + (to[i] - v) * t));
+};
+
+const rampTiers = (labels, ramp) => labels.map((label, i) => ({ label, color: rampColor(ramp, i, labels.length) }));
+
+// --- Presets ---
+export const DEFAULT_TEMPLATE_ID = 'builtin-default';
+
+export const BUILTIN_TEMPLATES = [
+  {
+    id: DEFAULT_TEMPLATE_ID,
+    name: '默认 S–D',
+    tiers: [
+      { label: 'S', color: '#ff7f7f' },
+      { label: 'A', color: '#ffbf7f' },
+      { label: 'B', color: '#ffdf7f' },
+      { label: 'C', color: '#ffff7f' },
+      { label: 'D', color: '#bfff7f' },
+    ],
+  },
+  {
+    id: 'builtin-classic',
+    name: '经典 S–F',
+    tiers: [
+      { label: 'S', color: '#ff7f7f' },
+      { label: 'A', color: '#ffbf7f' },
+      { label: 'B', color: '#ffdf7f' },
+      { label: 'C', color: '#ffff7f' },
+      { label: 'D', color: '#bfff7f' },
+      { label: 'E', color: '#7fff7f' },
+      { label: 'F', color: '#7fffff' },
+    ],
+  },
+  {
+    id: 'builtin-numeric',
+    name: '数字 10–1',
+    tiers: rampTiers(['10', '9', '8', '7', '6', '5', '4', '3', '2', '1'], COLOR_RAMPS[1]),
+  },
+  {
+    id: 'builtin-play',
+    name: '必玩 / 可以一试 / 跳过',
+    tiers: rampTiers(['必玩', '可以一试', '跳过'], COLOR_RAMPS[1]),
+  },
+];
+
+export const findTemplate = (templates, id) => [...BUILTIN_TEMPLATES, ...templates].find(t => t.id === id);
+
+// Fresh board tiers (new ids, no images) from a template
+export const templateToTiers = (template) => template.tiers.map(tier => ({ id: createId('tier'), label: tier.label, color: tier.color, ...pickTierStyle(tier), imageIds: [] }));
+
+export const tiersToTemplate = (name, tiers) => ({
+  id: createId('template'),
+  name,
+  tiers: tiers.map(tier => ({ label: tier.label, color: tier.color, ...pickTierStyle(tier) })),
+});
+
+// --- Template Files ---
+export const serializeTemplate = (template) => JSON.stringify({
+  format: TEMPLATE_FILE_FORMAT,
+  version: TEMPLATE_FILE_VERSION,
+  name: template.name,
+  tiers: template.tiers,
+}, null, 2);
+
+// Returns a new custom template; throws an Error with a user-facing message
+export const parseTemplateFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('文件不是有效的 JSON');
+  }
+  if (data?.format !== TEMPLATE_FILE_FORMAT) throw new Error('这不是评级模板文件');
+  if (data.version > TEMPLATE_FILE_VERSION) throw new Error('模板文件版本过新，请先更新应用');
+  const valid = Array.isArray(data.tiers) && data.tiers.length > 0
+    && data.tiers.every(t => typeof t?.label === 'string' && isHexColor(t?.color));
+  if (!valid) throw new Error('模板中的评级行无效');
+  return tiersToTemplate(typeof data.name === 'string' && data.name.trim() ? data.name.trim() : '导入的模板', data.tiers);
+};